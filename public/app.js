@@ -1,12 +1,19 @@
+// Dashboard token, when the server sets DASHBOARD_TOKEN: open the page as /?token=...
+const TOKEN = new URLSearchParams(location.search).get('token');
+
+function authHeaders(headers = {}) {
+  return TOKEN ? { ...headers, 'x-dashboard-token': TOKEN } : headers;
+}
+
 async function getStatus() {
-  const res = await fetch('/api/status');
+  const res = await fetch('/api/status', { headers: authHeaders() });
   return res.json();
 }
 
 async function sendMessage(channelId, message) {
   const res = await fetch('/api/message', {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers: authHeaders({ 'Content-Type': 'application/json' }),
     body: JSON.stringify({ channelId, message })
   });
   return res.json();
@@ -51,3 +58,467 @@ document.getElementById('sendBtn').addEventListener('click', async () => {
     updateStatusUI(null);
   }
 })();
+
+// Live scoreboard
+
+const socket = io({ auth: { token: TOKEN } });
+const leagues = new Map(); // key -> { key, name, emoji }
+const games = new Map(); // leagueKey -> Map(eventId -> card)
+const watching = new Set(JSON.parse(localStorage.getItem('scoreboardLeagues') || '[]'));
+let openGame = null; // { league, id } shown in the box score
+
+const STATE_ORDER = { in: 0, pre: 1, post: 2 };
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function setScoreboardNote(text) {
+  document.getElementById('scoreboardNote').textContent = text;
+}
+
+function saveWatching() {
+  localStorage.setItem('scoreboardLeagues', JSON.stringify([...watching]));
+}
+
+function subscribe(leagueKey) {
+  socket.emit('scores:subscribe', leagueKey, result => {
+    if (!result.success) setScoreboardNote(result.message);
+  });
+}
+
+function statusText(card) {
+  // Start times in the viewer's own timezone rather than ESPN's Eastern
+  if (card.state === 'pre') {
+    const start = new Date(card.date).toLocaleString([], { weekday: 'short', hour: 'numeric', minute: '2-digit' });
+    return card.broadcast ? `${start} • ${card.broadcast}` : start;
+  }
+  return card.detail;
+}
+
+function renderTeam(team, card) {
+  const loser = card.state === 'post' && !team.winner && (card.away.winner || card.home.winner);
+  return `
+    <div class="team${loser ? ' loser' : ''}">
+      ${team.logo ? `<img src="${escapeHtml(team.logo)}" alt="" />` : ''}
+      <span class="name">${team.rank ? `<span class="rank">${team.rank}</span> ` : ''}${escapeHtml(team.abbreviation)}
+        ${team.record ? `<span class="record">${escapeHtml(team.record)}</span>` : ''}</span>
+      <span class="score">${escapeHtml(team.score)}</span>
+    </div>`;
+}
+
+function renderCard(leagueKey, card, flash = false) {
+  return `
+    <div class="game${card.state === 'in' ? ' live' : ''}${flash ? ' flash' : ''}" data-league="${escapeHtml(leagueKey)}" data-id="${escapeHtml(card.id)}"
+      title="${escapeHtml(`${card.away.name} @ ${card.home.name}`)}">
+      ${renderTeam(card.away, card)}
+      ${renderTeam(card.home, card)}
+      <div class="status">${escapeHtml(statusText(card))}</div>
+      ${card.lastPlay ? `<div class="last-play">${escapeHtml(card.lastPlay)}</div>` : ''}
+    </div>`;
+}
+
+/**
+ * Redraw a league's cards, live games first, highlighting ones whose score just changed
+ */
+function renderLeague(leagueKey, flashed = new Set()) {
+  const league = leagues.get(leagueKey);
+  let section = document.getElementById(`league-${leagueKey}`);
+  if (!section) {
+    section = document.createElement('div');
+    section.id = `league-${leagueKey}`;
+    document.getElementById('leagues').appendChild(section);
+  }
+
+  const cards = [...(games.get(leagueKey)?.values() || [])]
+    .sort((a, b) => STATE_ORDER[a.state] - STATE_ORDER[b.state] || new Date(a.date) - new Date(b.date));
+  section.innerHTML = `
+    <h3>${escapeHtml(league?.emoji)} ${escapeHtml(league?.name || leagueKey)}</h3>
+    ${cards.length > 0
+      ? `<div class="games">${cards.map(card => renderCard(leagueKey, card, flashed.has(card.id))).join('')}</div>`
+      : '<p class="note">No games today.</p>'}`;
+
+  // Show the highlight, then let it fade out
+  if (flashed.size > 0) {
+    setTimeout(() => section.querySelectorAll('.game.flash').forEach(el => el.classList.remove('flash')), 300);
+  }
+}
+
+socket.on('status', updateStatusUI);
+
+// Rooms are lost on reconnect, so join them again
+socket.on('connect', () => {
+  setScoreboardNote(watching.size > 0 ? '' : 'Pick a league to follow its games live.');
+  watching.forEach(subscribe);
+});
+
+socket.on('connect_error', err => {
+  setScoreboardNote(`Live scores unavailable: ${err.message}`);
+});
+
+socket.on('scores:snapshot', ({ league, games: cards }) => {
+  if (!watching.has(league)) return;
+  games.set(league, new Map(cards.map(card => [card.id, card])));
+  renderLeague(league);
+});
+
+socket.on('scores:update', ({ league, games: changes, removed }) => {
+  const cards = games.get(league);
+  if (!cards) return;
+
+  const flashed = new Set();
+  for (const change of changes) {
+    const before = cards.get(change.id);
+    if (before && (change.away || change.home)) flashed.add(change.id);
+    cards.set(change.id, { ...before, ...change });
+  }
+  removed.forEach(id => cards.delete(id));
+  renderLeague(league, flashed);
+
+  if (openGame?.league === league && changes.some(change => change.id === openGame.id)) {
+    loadBoxScore(league, openGame.id);
+  }
+});
+
+async function loadLeagues() {
+  const res = await fetch('/api/leagues', { headers: authHeaders() });
+  const list = await res.json();
+  if (!res.ok) throw new Error(list.error || res.statusText);
+
+  const picker = document.getElementById('leaguePicker');
+  picker.innerHTML = '';
+  for (const league of list) {
+    leagues.set(league.key, league);
+    const label = document.createElement('label');
+    label.innerHTML = `<input type="checkbox" value="${escapeHtml(league.key)}" ${watching.has(league.key) ? 'checked' : ''} />${escapeHtml(league.emoji)} ${escapeHtml(league.name)}`;
+    picker.appendChild(label);
+  }
+  // Snapshots that beat this load were drawn without league names
+  games.forEach((_, leagueKey) => renderLeague(leagueKey));
+}
+
+document.getElementById('leaguePicker').addEventListener('change', event => {
+  const leagueKey = event.target.value;
+  if (event.target.checked) {
+    watching.add(leagueKey);
+    setScoreboardNote('');
+    subscribe(leagueKey);
+  } else {
+    watching.delete(leagueKey);
+    socket.emit('scores:unsubscribe', leagueKey);
+    games.delete(leagueKey);
+    document.getElementById(`league-${leagueKey}`)?.remove();
+  }
+  saveWatching();
+});
+
+// Box score drill-down
+
+function renderBoxScore(data) {
+  const { game } = data;
+  const teams = [game.away, game.home];
+  const parts = [];
+
+  const periods = Math.max(...data.linescores.map(scores => scores.length));
+  if (periods > 0) {
+    parts.push(`<h3>Linescore (${escapeHtml(data.periodName)})</h3><div class="table-scroll"><table>
+      <tr><th></th>${Array.from({ length: periods }, (_, i) => `<th>${i + 1}</th>`).join('')}<th>T</th></tr>
+      ${teams.map((team, side) => `<tr><td>${escapeHtml(team.abbreviation)}</td>
+        ${Array.from({ length: periods }, (_, i) => `<td>${escapeHtml(data.linescores[side][i] ?? '-')}</td>`).join('')}
+        <td><strong>${escapeHtml(team.score ?? 0)}</strong></td></tr>`).join('')}
+    </table></div>`);
+  }
+
+  if (data.teamStats.length > 0) {
+    parts.push(`<h3>Team Stats</h3><table>
+      <tr><th></th><th>${escapeHtml(game.away.abbreviation)}</th><th>${escapeHtml(game.home.abbreviation)}</th></tr>
+      ${data.teamStats.map(stat => `<tr><td>${escapeHtml(stat.label)}</td><td>${escapeHtml(stat.away)}</td><td>${escapeHtml(stat.home)}</td></tr>`).join('')}
+    </table>`);
+  }
+
+  teams.forEach((team, side) => {
+    if (data.leaders[side].length === 0) return;
+    parts.push(`<h3>${escapeHtml(team.abbreviation)} Top Performers</h3><ul>
+      ${data.leaders[side].map(l => `<li><strong>${escapeHtml(l.category)}:</strong> ${escapeHtml(l.athlete)} - ${escapeHtml(l.value)}</li>`).join('')}
+    </ul>`);
+  });
+
+  if (data.scoringPlays.length > 0) {
+    const prefix = data.periodName[0];
+    parts.push(`<h3>Scoring Summary</h3><ul>
+      ${data.scoringPlays.map(play => {
+        const when = [play.period && `${prefix}${play.period}`, play.clock].filter(Boolean).join(' ');
+        const score = play.awayScore !== null ? ` (${play.awayScore}-${play.homeScore})` : '';
+        return `<li><code>${escapeHtml(when)}</code> ${play.team ? `<strong>${escapeHtml(play.team)}</strong> ` : ''}${escapeHtml(play.text)}${escapeHtml(score)}</li>`;
+      }).join('')}
+    </ul>`);
+  }
+
+  teams.forEach((team, side) => {
+    for (const group of data.players[side]) {
+      parts.push(`<h3>${escapeHtml(team.abbreviation)} ${escapeHtml(group.name.charAt(0).toUpperCase() + group.name.slice(1))}</h3>
+        <div class="table-scroll"><table>
+          <tr><th></th>${group.labels.map(label => `<th>${escapeHtml(label)}</th>`).join('')}</tr>
+          ${group.athletes.map(athlete => `<tr><td>${escapeHtml(athlete.name)}</td>
+            ${group.labels.map((_, i) => `<td>${escapeHtml(athlete.stats[i] ?? '-')}</td>`).join('')}</tr>`).join('')}
+        </table></div>`);
+    }
+  });
+
+  document.getElementById('boxScoreTitle').textContent =
+    `${game.away.name} ${game.away.score ?? ''} @ ${game.home.name} ${game.home.score ?? ''} • ${statusText(game)}`;
+  document.getElementById('boxScoreBody').innerHTML = parts.length > 0
+    ? `<div class="box-score">${parts.join('')}</div>`
+    : '<p class="note">Box score data will appear once the game starts.</p>';
+}
+
+async function loadBoxScore(leagueKey, eventId) {
+  const body = document.getElementById('boxScoreBody');
+  try {
+    const res = await fetch(`/api/games/${encodeURIComponent(leagueKey)}/${encodeURIComponent(eventId)}`, { headers: authHeaders() });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || res.statusText);
+    // Another game may have been opened while this one loaded
+    if (openGame?.league === leagueKey && openGame.id === eventId) renderBoxScore(data);
+  } catch (err) {
+    body.textContent = `Couldn't load the box score: ${err.message}`;
+  }
+}
+
+document.getElementById('leagues').addEventListener('click', event => {
+  const card = event.target.closest('.game');
+  if (!card) return;
+
+  openGame = { league: card.dataset.league, id: card.dataset.id };
+  const section = document.getElementById('boxScore');
+  section.hidden = false;
+  document.getElementById('boxScoreTitle').textContent = card.title;
+  document.getElementById('boxScoreBody').textContent = 'Loading...';
+  section.scrollIntoView({ behavior: 'smooth' });
+  loadBoxScore(openGame.league, openGame.id);
+});
+
+document.getElementById('boxScoreClose').addEventListener('click', () => {
+  openGame = null;
+  document.getElementById('boxScore').hidden = true;
+});
+
+// Server controls
+
+/**
+ * Call the dashboard API, throwing the server's error message on failure
+ */
+async function api(path, { method = 'GET', body } = {}) {
+  const res = await fetch(path, {
+    method,
+    headers: authHeaders(body ? { 'Content-Type': 'application/json' } : {}),
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || res.statusText);
+  return data;
+}
+
+function selectedGuild() {
+  return document.getElementById('guildSelect').value;
+}
+
+function fillSelect(select, options, emptyText) {
+  select.innerHTML = options.length > 0
+    ? options.map(o => `<option value="${escapeHtml(o.value)}">${escapeHtml(o.label)}</option>`).join('')
+    : `<option value="">${escapeHtml(emptyText)}</option>`;
+}
+
+async function loadGuilds() {
+  const guilds = await api('/api/guilds');
+  const select = document.getElementById('guildSelect');
+  const previous = select.value || localStorage.getItem('dashboardGuild');
+  fillSelect(select, guilds.map(g => ({ value: g.id, label: `${g.name}${g.scoreCenter ? ' • score center on' : ''}` })), 'The bot is not in any servers');
+  if (guilds.some(g => g.id === previous)) select.value = previous;
+  document.getElementById('guildNote').textContent = guilds.length > 0 ? '' : 'Invite the bot to a server first.';
+  await loadGuild();
+}
+
+async function loadGuild() {
+  const guildId = selectedGuild();
+  if (!guildId) return;
+  localStorage.setItem('dashboardGuild', guildId);
+  await Promise.all([loadScoreCenter(guildId), loadChannels(guildId)]);
+}
+
+document.getElementById('guildSelect').addEventListener('change', () => {
+  loadGuild().catch(err => { document.getElementById('guildNote').textContent = err.message; });
+});
+
+// Score center
+
+function fillConfigForm(config) {
+  const form = document.getElementById('scoreCenterConfig');
+  document.getElementById('configLeagues').innerHTML = [...leagues.values()].map(league => `
+    <label><input type="checkbox" name="leagues" value="${escapeHtml(league.key)}" ${config.leagues.includes(league.key) ? 'checked' : ''} />${escapeHtml(league.emoji)} ${escapeHtml(league.name)}</label>`).join('');
+  form.teams.value = config.teams.join(', ').toUpperCase();
+  form.ranked.value = config.ranked;
+  form.includePregame.checked = config.includePregame;
+  form.pregameHours.value = config.pregameHours ?? '';
+  form.categoryName.value = config.categoryName;
+  form.categoryPosition.value = config.categoryPosition;
+  form.finalMinutes.value = config.finalMinutes;
+}
+
+async function loadScoreCenter(guildId = selectedGuild()) {
+  const data = await api(`/api/guilds/${guildId}/scorecenter`);
+  const gameCount = data.leagues.reduce((sum, league) => sum + league.games.length, 0);
+  document.getElementById('scoreCenterStatus').textContent = data.running
+    ? `Running • ${gameCount} game channel${gameCount === 1 ? '' : 's'}`
+    : 'Not running';
+  document.getElementById('scoreCenterStart').disabled = data.running;
+  document.getElementById('scoreCenterStop').disabled = !data.running;
+
+  document.getElementById('scoreCenterGames').innerHTML = data.leagues.map(league => `
+    <h3>${escapeHtml(league.emoji)} ${escapeHtml(league.name)}</h3>
+    <ul>${league.games.map(game => `<li><a href="https://discord.com/channels/${guildId}/${escapeHtml(game.channelId)}" target="_blank" rel="noopener">${escapeHtml(game.label || game.id)}</a> • ${escapeHtml(game.status || '')}</li>`).join('')}</ul>`).join('');
+
+  fillConfigForm(data.config);
+}
+
+async function scoreCenterAction(action) {
+  const resultEl = document.getElementById('scoreCenterResult');
+  resultEl.textContent = action === 'start' ? 'Starting...' : 'Stopping...';
+  try {
+    const r = await api(`/api/guilds/${selectedGuild()}/scorecenter/${action}`, { method: 'POST' });
+    resultEl.textContent = r.message;
+  } catch (err) {
+    resultEl.textContent = `Error: ${err.message}`;
+  }
+  await loadGuilds().catch(() => {});
+}
+
+document.getElementById('scoreCenterStart').addEventListener('click', () => scoreCenterAction('start'));
+document.getElementById('scoreCenterStop').addEventListener('click', () => {
+  if (confirm('Stop the score center and delete its channels in this server?')) scoreCenterAction('stop');
+});
+
+document.getElementById('scoreCenterConfig').addEventListener('submit', async event => {
+  event.preventDefault();
+  const form = event.target;
+  const resultEl = document.getElementById('scoreCenterConfigResult');
+  const changes = {
+    leagues: [...form.querySelectorAll('input[name="leagues"]:checked')].map(input => input.value),
+    teams: form.teams.value.split(',').map(team => team.trim()).filter(Boolean),
+    ranked: form.ranked.value,
+    includePregame: form.includePregame.checked,
+    pregameHours: form.pregameHours.value === '' ? null : Number(form.pregameHours.value),
+    categoryName: form.categoryName.value,
+    categoryPosition: form.categoryPosition.value,
+    finalMinutes: Number(form.finalMinutes.value)
+  };
+  try {
+    const r = await api(`/api/guilds/${selectedGuild()}/scorecenter/config`, { method: 'PATCH', body: changes });
+    fillConfigForm(r.config);
+    resultEl.textContent = `${r.message} Changes apply on the next update.`;
+  } catch (err) {
+    resultEl.textContent = `Error: ${err.message}`;
+  }
+});
+
+// Live game threads
+
+async function loadTrackedGames() {
+  const games = await api('/api/livegames');
+  document.getElementById('trackedGames').innerHTML = games.length > 0
+    ? `<table class="data-table">
+        <tr><th>League</th><th>Thread</th><th>Server</th><th>Started</th><th></th></tr>
+        ${games.map(game => {
+          const league = leagues.get(leagueKeyFor(game.sport, game.league));
+          return `<tr>
+            <td>${escapeHtml(league ? `${league.emoji} ${league.name}` : game.league)}</td>
+            <td><a href="${escapeHtml(game.threadUrl)}" target="_blank" rel="noopener">${escapeHtml(game.threadName)}</a></td>
+            <td>${escapeHtml(game.guildName || game.guildId)}</td>
+            <td>${escapeHtml(new Date(game.startTime).toLocaleString())}</td>
+            <td><button class="secondary" data-stop="${escapeHtml(game.gameId)}">Stop</button></td>
+          </tr>`;
+        }).join('')}
+      </table>`
+    : '<p class="note">No games are being tracked.</p>';
+}
+
+function leagueKeyFor(sport, league) {
+  return [...leagues.values()].find(l => l.sport === sport && l.league === league)?.key;
+}
+
+document.getElementById('trackedGames').addEventListener('click', async event => {
+  const gameId = event.target.dataset.stop;
+  if (!gameId) return;
+  try {
+    await api(`/api/livegames/${encodeURIComponent(gameId)}`, { method: 'DELETE' });
+  } catch (err) {
+    document.getElementById('threadResult').textContent = `Error: ${err.message}`;
+  }
+  await loadTrackedGames().catch(() => {});
+});
+
+document.getElementById('refreshLiveGames').addEventListener('click', () => {
+  loadTrackedGames().catch(err => { document.getElementById('threadResult').textContent = err.message; });
+});
+
+async function loadChannels(guildId = selectedGuild()) {
+  const channels = await api(`/api/guilds/${guildId}/channels`);
+  fillSelect(document.getElementById('threadChannel'),
+    channels.map(c => ({ value: c.id, label: c.parent ? `#${c.name} (${c.parent})` : `#${c.name}` })),
+    'No channels the bot can open threads in');
+}
+
+async function loadThreadGames() {
+  const leagueKey = document.getElementById('threadLeague').value;
+  const select = document.getElementById('threadGame');
+  select.innerHTML = '<option value="">Loading...</option>';
+  try {
+    const cards = await api(`/api/games/${encodeURIComponent(leagueKey)}`);
+    // Finished games have nothing left to follow
+    fillSelect(select, cards.filter(card => card.state !== 'post')
+      .sort((a, b) => STATE_ORDER[a.state] - STATE_ORDER[b.state] || new Date(a.date) - new Date(b.date))
+      .map(card => ({ value: card.id, label: `${card.away.abbreviation} @ ${card.home.abbreviation} • ${statusText(card)}` })),
+      'No live or upcoming games');
+  } catch (err) {
+    fillSelect(select, [], `Couldn't load games: ${err.message}`);
+  }
+}
+
+document.getElementById('threadLeague').addEventListener('change', loadThreadGames);
+
+document.getElementById('startThread').addEventListener('click', async () => {
+  const resultEl = document.getElementById('threadResult');
+  const body = {
+    channelId: document.getElementById('threadChannel').value,
+    league: document.getElementById('threadLeague').value,
+    gameId: document.getElementById('threadGame').value
+  };
+  if (!body.channelId || !body.gameId) {
+    resultEl.textContent = 'Pick a channel and a game.';
+    return;
+  }
+  resultEl.textContent = 'Starting...';
+  try {
+    const r = await api('/api/livegames', { method: 'POST', body });
+    resultEl.innerHTML = `Started: <a href="${escapeHtml(r.threadUrl)}" target="_blank" rel="noopener">open thread</a>`;
+  } catch (err) {
+    resultEl.textContent = `Error: ${err.message}`;
+  }
+  await loadTrackedGames().catch(() => {});
+});
+
+(async () => {
+  try {
+    await loadLeagues();
+  } catch (err) {
+    setScoreboardNote(`Couldn't load leagues: ${err.message}`);
+    return;
+  }
+  fillSelect(document.getElementById('threadLeague'),
+    [...leagues.values()].map(league => ({ value: league.key, label: `${league.emoji} ${league.name}` })), 'No leagues');
+  await Promise.all([
+    loadGuilds().catch(err => { document.getElementById('guildNote').textContent = `Couldn't load servers: ${err.message}`; }),
+    loadTrackedGames().catch(err => { document.getElementById('threadResult').textContent = err.message; }),
+    loadThreadGames()
+  ]);
+})();
@@ -1,10 +1,29 @@
-import { Client, GatewayIntentBits, REST, Routes, SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
-import dotenv from 'dotenv';
+// Load .env before any module below reads process.env at import time
+import 'dotenv/config';
+import { Client, GatewayIntentBits, REST, Routes, SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ChannelType, PermissionFlagsBits } from 'discord.js';
 import espnAPI from './espnAPI.js';
 import liveGameManager from './liveGameManager.js';
 import scoreCenterManager from './scoreCenterManager.js';
-
-dotenv.config();
+import teamFeedManager from './teamFeedManager.js';
+import reminderManager from './reminderManager.js';
+import digestManager from './digestManager.js';
+import pickemManager from './pickemManager.js';
+import oddsTracker from './oddsTracker.js';
+import { ODDS_FORMATS, formatPrice, getMarket, formatPercent, getOddsFormat, setOddsFormat } from './oddsFormat.js';
+import leagueRegistry from './leagues.js';
+import stateStore from './stateStore.js';
+import jobScheduler from './jobScheduler.js';
+import boxScore from './boxScore.js';
+import teamProfile from './teamProfile.js';
+import teamIndex from './teamIndex.js';
+import playerProfile from './playerProfile.js';
+import { paginate, tableFields } from './paginator.js';
+import { resolveDateInput } from './dateInput.js';
+import { isValidTimezone, getGuildTimezone, setGuildTimezone } from './timezone.js';
+import { NotFoundError, RateLimitedError, UpstreamUnavailableError, BadPayloadError } from './errors.js';
+
+// Games per /odds page; each game's field runs to several lines
+const ODDS_PER_PAGE = 5;
 
 // Validate environment variables
 if (!process.env.DISCORD_TOKEN || !process.env.CLIENT_ID) {
@@ -29,20 +48,11 @@ const commands = [
       option.setName('sport')
         .setDescription('Sport type')
         .setRequired(true)
-        .addChoices(
-          { name: 'NFL', value: 'football/nfl' },
-          { name: 'NBA', value: 'basketball/nba' },
-          { name: 'MLB', value: 'baseball/mlb' },
-          { name: 'NHL', value: 'hockey/nhl' },
-          { name: 'College Football', value: 'football/college-football' },
-          { name: 'College Basketball', value: 'basketball/mens-college-basketball' },
-          { name: 'MLS', value: 'soccer/usa.1' },
-          { name: 'WNBA', value: 'basketball/wnba' }
-        )
+        .addChoices(...leagueRegistry.getChoices('scores'))
     )
     .addStringOption(option =>
       option.setName('date')
-        .setDescription('Date in YYYYMMDD format (optional)')
+        .setDescription('today, yesterday, saturday, last friday, week 7, 2026-10-19, 10/19...')
         .setRequired(false)
     ),
 
@@ -53,13 +63,16 @@ const commands = [
       option.setName('league')
         .setDescription('League')
         .setRequired(true)
+        .addChoices(...leagueRegistry.getChoices('standings'))
+    )
+    .addStringOption(option =>
+      option.setName('view')
+        .setDescription('Group teams by division, conference or the whole league (default: division)')
+        .setRequired(false)
         .addChoices(
-          { name: 'NFL', value: 'football/nfl' },
-          { name: 'NBA', value: 'basketball/nba' },
-          { name: 'MLB', value: 'baseball/mlb' },
-          { name: 'NHL', value: 'hockey/nhl' },
-          { name: 'College Football', value: 'football/college-football' },
-          { name: 'MLS', value: 'soccer/usa.1' }
+          { name: 'Division', value: 'division' },
+          { name: 'Conference', value: 'conference' },
+          { name: 'League', value: 'league' }
         )
     ),
 
@@ -70,13 +83,25 @@ const commands = [
       option.setName('sport')
         .setDescription('Sport type')
         .setRequired(true)
-        .addChoices(
-          { name: 'NFL', value: 'football/nfl' },
-          { name: 'NBA', value: 'basketball/nba' },
-          { name: 'MLB', value: 'baseball/mlb' },
-          { name: 'NHL', value: 'hockey/nhl' },
-          { name: 'College Football', value: 'football/college-football' }
-        )
+        .addChoices(...leagueRegistry.getChoices('odds'))
+    )
+    .addStringOption(option =>
+      option.setName('date')
+        .setDescription('Date in YYYYMMDD format (default: current slate)')
+        .setRequired(false)
+    )
+    .addIntegerOption(option =>
+      option.setName('week')
+        .setDescription('Week number, for NFL and college football')
+        .setRequired(false)
+        .setMinValue(1)
+        .setMaxValue(25)
+    )
+    .addStringOption(option =>
+      option.setName('team')
+        .setDescription('Only show this team')
+        .setRequired(false)
+        .setAutocomplete(true)
     ),
 
   new SlashCommandBuilder()
@@ -86,12 +111,7 @@ const commands = [
       option.setName('league')
         .setDescription('League')
         .setRequired(true)
-        .addChoices(
-          { name: 'NFL', value: 'football/nfl' },
-          { name: 'NBA', value: 'basketball/nba' },
-          { name: 'MLB', value: 'baseball/mlb' },
-          { name: 'NHL', value: 'hockey/nhl' }
-        )
+        .addChoices(...leagueRegistry.getChoices('teams'))
     ),
 
   new SlashCommandBuilder()
@@ -101,13 +121,7 @@ const commands = [
       option.setName('sport')
         .setDescription('Sport type')
         .setRequired(true)
-        .addChoices(
-          { name: 'NFL', value: 'football/nfl' },
-          { name: 'NBA', value: 'basketball/nba' },
-          { name: 'MLB', value: 'baseball/mlb' },
-          { name: 'NHL', value: 'hockey/nhl' },
-          { name: 'College Football', value: 'football/college-football' }
-        )
+        .addChoices(...leagueRegistry.getChoices('news'))
     ),
 
   new SlashCommandBuilder()
@@ -117,12 +131,7 @@ const commands = [
       option.setName('sport')
         .setDescription('Sport type')
         .setRequired(true)
-        .addChoices(
-          { name: 'NFL', value: 'football/nfl' },
-          { name: 'NBA', value: 'basketball/nba' },
-          { name: 'MLB', value: 'baseball/mlb' },
-          { name: 'NHL', value: 'hockey/nhl' }
-        )
+        .addChoices(...leagueRegistry.getChoices('leaders'))
     ),
 
   new SlashCommandBuilder()
@@ -132,27 +141,366 @@ const commands = [
       option.setName('sport')
         .setDescription('Sport type')
         .setRequired(true)
-        .addChoices(
-          { name: 'College Football', value: 'football/college-football' },
-          { name: 'College Basketball (Men)', value: 'basketball/mens-college-basketball' }
-        )
+        .addChoices(...leagueRegistry.getChoices('rankings'))
     ),
 
   new SlashCommandBuilder()
     .setName('livegames')
-    .setDescription('Show live MLB games and create live update threads'),
+    .setDescription('Show live games and create live update threads')
+    .addStringOption(option =>
+      option.setName('sport')
+        .setDescription('Sport type (default: MLB)')
+        .setRequired(false)
+        .addChoices(...leagueRegistry.getChoices('scores'))
+    ),
+
+  new SlashCommandBuilder()
+    .setName('team')
+    .setDescription('Show a team card with upcoming games and recent results')
+    .addStringOption(option =>
+      option.setName('league')
+        .setDescription('League')
+        .setRequired(true)
+        .addChoices(...leagueRegistry.getChoices('teams'))
+    )
+    .addStringOption(option =>
+      option.setName('team')
+        .setDescription('Team name, city or nickname')
+        .setRequired(true)
+        .setAutocomplete(true)
+    ),
+
+  new SlashCommandBuilder()
+    .setName('player')
+    .setDescription("Show a player's bio, season stats and game log")
+    .addStringOption(option =>
+      option.setName('league')
+        .setDescription('League')
+        .setRequired(true)
+        .addChoices(...leagueRegistry.getChoices('scores'))
+    )
+    .addStringOption(option =>
+      option.setName('player')
+        .setDescription('Player name')
+        .setRequired(true)
+        .setAutocomplete(true)
+    ),
+
+  new SlashCommandBuilder()
+    .setName('game')
+    .setDescription('Show the box score for a game')
+    .addStringOption(option =>
+      option.setName('sport')
+        .setDescription('Sport type')
+        .setRequired(true)
+        .addChoices(...leagueRegistry.getChoices('scores'))
+    )
+    .addStringOption(option =>
+      option.setName('game')
+        .setDescription("Today's matchup (or type a team)")
+        .setRequired(true)
+        .setAutocomplete(true)
+    ),
 
   new SlashCommandBuilder()
     .setName('scorecenter')
-    .setDescription('Start/stop the live score center with auto-updating channels')
+    .setDescription('Live score center with auto-updating channels')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .addSubcommand(subcommand =>
+      subcommand.setName('start')
+        .setDescription('Start the score center in this server')
+    )
+    .addSubcommand(subcommand =>
+      subcommand.setName('stop')
+        .setDescription('Stop the score center and delete its channels')
+    )
+    .addSubcommand(subcommand =>
+      subcommand.setName('status')
+        .setDescription('Show which leagues and games this server is mirroring')
+    )
+    .addSubcommand(subcommand =>
+      subcommand.setName('config')
+        .setDescription('Configure the score center (no options shows current settings)')
+        .addStringOption(option =>
+          option.setName('leagues')
+            .setDescription(`Comma separated leagues, e.g. "NFL, College Football, MLS"`)
+            .setRequired(false)
+        )
+        .addStringOption(option =>
+          option.setName('teams')
+            .setDescription('Comma separated team abbreviations or names to follow ("all" to clear)')
+            .setRequired(false)
+        )
+        .addStringOption(option =>
+          option.setName('ranked')
+            .setDescription('Only mirror games with ranked teams (college)')
+            .setRequired(false)
+            .addChoices(
+              { name: 'Off', value: 'off' },
+              { name: 'Either team ranked', value: 'either' },
+              { name: 'Both teams ranked', value: 'both' }
+            )
+        )
+        .addBooleanOption(option =>
+          option.setName('pregame')
+            .setDescription('Create channels for games that have not started yet')
+            .setRequired(false)
+        )
+        .addIntegerOption(option =>
+          option.setName('pregame_hours')
+            .setDescription('Only create pregame channels this many hours before start (0 for any time today)')
+            .setRequired(false)
+            .setMinValue(0)
+            .setMaxValue(48)
+        )
+        .addStringOption(option =>
+          option.setName('category_name')
+            .setDescription('Category name, {emoji} and {league} are filled in (default "{emoji} {league} Live Scores")')
+            .setRequired(false)
+            .setMaxLength(90)
+        )
+        .addStringOption(option =>
+          option.setName('category_position')
+            .setDescription('Where new score center categories go')
+            .setRequired(false)
+            .addChoices(
+              { name: 'Top', value: 'top' },
+              { name: 'Bottom', value: 'bottom' }
+            )
+        )
+        .addIntegerOption(option =>
+          option.setName('final_minutes')
+            .setDescription('Minutes a final stays before its channel is deleted (default 60)')
+            .setRequired(false)
+            .setMinValue(0)
+            .setMaxValue(1440)
+        )
+    ),
+
+  new SlashCommandBuilder()
+    .setName('follow')
+    .setDescription("Post a team's game starts, scores and finals in this channel")
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageChannels)
+    .addStringOption(option =>
+      option.setName('league')
+        .setDescription('League')
+        .setRequired(true)
+        .addChoices(...leagueRegistry.getChoices('scores'))
+    )
     .addStringOption(option =>
-      option.setName('action')
-        .setDescription('Start or stop the score center')
+      option.setName('team')
+        .setDescription('Team name, city or nickname')
         .setRequired(true)
+        .setAutocomplete(true)
+    ),
+
+  new SlashCommandBuilder()
+    .setName('unfollow')
+    .setDescription('Stop posting a team in this channel')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageChannels)
+    .addStringOption(option =>
+      option.setName('team')
+        .setDescription('Followed team (leave empty to unfollow all)')
+        .setRequired(false)
+        .setAutocomplete(true)
+    ),
+
+  new SlashCommandBuilder()
+    .setName('reminders')
+    .setDescription('Manage your game reminder DMs')
+    .addSubcommand(subcommand =>
+      subcommand.setName('list')
+        .setDescription('List your pending reminders')
+    )
+    .addSubcommand(subcommand =>
+      subcommand.setName('cancel')
+        .setDescription('Cancel a reminder')
+        .addStringOption(option =>
+          option.setName('reminder')
+            .setDescription('Reminder to cancel')
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand.setName('settings')
+        .setDescription('When reminders are sent (no options shows current settings)')
+        .addIntegerOption(option =>
+          option.setName('minutes')
+            .setDescription('Minutes before start to send the DM')
+            .setMinValue(5)
+            .setMaxValue(1440)
+        )
+        .addStringOption(option =>
+          option.setName('timezone')
+            .setDescription('Your timezone, e.g. America/Los_Angeles')
+        )
+        .addIntegerOption(option =>
+          option.setName('quiet_start')
+            .setDescription('Hour quiet hours start (0-23, your time)')
+            .setMinValue(0)
+            .setMaxValue(23)
+        )
+        .addIntegerOption(option =>
+          option.setName('quiet_end')
+            .setDescription('Hour quiet hours end (0-23); same as start turns them off')
+            .setMinValue(0)
+            .setMaxValue(23)
+        )
+    ),
+
+  new SlashCommandBuilder()
+    .setName('digest')
+    .setDescription('Daily digest of finals, games, standings and headlines')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .addSubcommand(subcommand =>
+      subcommand.setName('config')
+        .setDescription('Turn on and configure the digest (no options shows current settings)')
+        .addChannelOption(option =>
+          option.setName('channel')
+            .setDescription('Channel to post in (default: this channel)')
+            .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+            .setRequired(false)
+        )
+        .addStringOption(option =>
+          option.setName('time')
+            .setDescription('Time to post, 24-hour HH:MM (default 08:00)')
+            .setRequired(false)
+        )
+        .addStringOption(option =>
+          option.setName('timezone')
+            .setDescription('Timezone, e.g. America/Chicago (default: the server timezone from /timezone)')
+            .setRequired(false)
+        )
+        .addStringOption(option =>
+          option.setName('leagues')
+            .setDescription('Comma separated leagues, e.g. "NFL, NBA"')
+            .setRequired(false)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand.setName('preview')
+        .setDescription("Show what today's digest looks like")
+    )
+    .addSubcommand(subcommand =>
+      subcommand.setName('disable')
+        .setDescription('Stop posting the digest')
+    ),
+
+  new SlashCommandBuilder()
+    .setName('oddsformat')
+    .setDescription('How odds are shown: American, decimal or fractional (no options shows current)')
+    .addStringOption(option =>
+      option.setName('format')
+        .setDescription('Odds format')
+        .setRequired(false)
+        .addChoices(...Object.entries(ODDS_FORMATS).map(([value, name]) => ({ name, value })))
+    )
+    .addStringOption(option =>
+      option.setName('scope')
+        .setDescription('Just you, or the default for this server (needs Manage Server; default: just you)')
+        .setRequired(false)
         .addChoices(
-          { name: 'Start', value: 'start' },
-          { name: 'Stop', value: 'stop' }
+          { name: 'Just me', value: 'user' },
+          { name: 'Server default', value: 'guild' }
+        )
+    ),
+
+  new SlashCommandBuilder()
+    .setName('oddsalerts')
+    .setDescription('Alerts in this channel when spreads or totals move')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .addSubcommand(subcommand =>
+      subcommand.setName('subscribe')
+        .setDescription("Alert this channel when a league's lines move")
+        .addStringOption(option =>
+          option.setName('league')
+            .setDescription('League')
+            .setRequired(true)
+            .addChoices(...leagueRegistry.getChoices('odds'))
+        )
+        .addNumberOption(option =>
+          option.setName('spread')
+            .setDescription('Points a spread must move (default 1.5)')
+            .setMinValue(0.5)
+            .setMaxValue(20)
+        )
+        .addNumberOption(option =>
+          option.setName('total')
+            .setDescription('Points a total must move (default 2)')
+            .setMinValue(0.5)
+            .setMaxValue(50)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand.setName('unsubscribe')
+        .setDescription('Stop line movement alerts in this channel')
+        .addStringOption(option =>
+          option.setName('league')
+            .setDescription('League (leave empty to stop all)')
+            .setRequired(false)
+            .addChoices(...leagueRegistry.getChoices('odds'))
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand.setName('list')
+        .setDescription("This channel's line movement alerts")
+    ),
+
+  new SlashCommandBuilder()
+    .setName('pickem')
+    .setDescription("Pick'em contests with automatic grading")
+    .addSubcommand(subcommand =>
+      subcommand.setName('post')
+        .setDescription('Post upcoming games to pick in this channel')
+        .addStringOption(option =>
+          option.setName('league')
+            .setDescription('League')
+            .setRequired(true)
+            .addChoices(...leagueRegistry.getChoices('scores'))
+        )
+        .addBooleanOption(option =>
+          option.setName('spread')
+            .setDescription('Pick against the spread (default: straight up)')
+            .setRequired(false)
+        )
+        .addStringOption(option =>
+          option.setName('date')
+            .setDescription('Date in YYYYMMDD format (default: current slate)')
+            .setRequired(false)
         )
+    )
+    .addSubcommand(subcommand =>
+      subcommand.setName('leaderboard')
+        .setDescription("Standings for this server's pick'em")
+        .addStringOption(option =>
+          option.setName('league')
+            .setDescription('League')
+            .setRequired(true)
+            .addChoices(...leagueRegistry.getChoices('scores'))
+        )
+        .addStringOption(option =>
+          option.setName('scope')
+            .setDescription('Latest week or whole season (default: week)')
+            .setRequired(false)
+            .addChoices(
+              { name: 'Week', value: 'week' },
+              { name: 'Season', value: 'season' }
+            )
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand.setName('mypicks')
+        .setDescription("Your picks for games that haven't finished")
+    ),
+
+  new SlashCommandBuilder()
+    .setName('timezone')
+    .setDescription("Server timezone for dates like \"today\" (no option shows current)")
+    .addStringOption(option =>
+      option.setName('zone')
+        .setDescription('Timezone name, e.g. America/Los_Angeles or Europe/London (needs Manage Server)')
+        .setRequired(false)
     ),
 
   new SlashCommandBuilder()
@@ -160,6 +508,156 @@ const commands = [
     .setDescription('Show bot commands and usage information')
 ].map(command => command.toJSON());
 
+// What each ESPN endpoint type is called in user-facing error messages
+const endpointDescriptions = {
+  scoreboard: 'scores',
+  summary: 'game data',
+  odds: 'odds',
+  news: 'news',
+  schedule: 'schedule data',
+  leaders: 'stat leaders',
+  standings: 'standings',
+  team: 'team data',
+  search: 'player search results',
+  athlete: 'player data',
+  athleteStats: 'player stats',
+  rankings: 'rankings',
+  teams: 'team data'
+};
+
+/**
+ * Turn an error thrown while handling a command into a message for the user
+ */
+function getErrorMessage(error) {
+  const what = endpointDescriptions[error.endpoint] || 'data';
+
+  if (error instanceof NotFoundError) {
+    return `ESPN has no ${what} for that league.`;
+  }
+  if (error instanceof RateLimitedError) {
+    return 'ESPN is rate limiting requests right now. Please try again in a minute.';
+  }
+  if (error instanceof UpstreamUnavailableError) {
+    return 'ESPN is not responding right now. Please try again in a few minutes.';
+  }
+  if (error instanceof BadPayloadError) {
+    return `ESPN sent back ${what} the bot couldn't read. Please try again later.`;
+  }
+  return 'Sorry, there was an error fetching data from ESPN. Please try again later.';
+}
+
+/**
+ * Build the /team card or one page of the team's schedule
+ * @param {string} view - 'card', 'schedule' (current month) or 'schedule-<page>'
+ */
+async function buildTeamView(sportValue, teamId, view = 'card') {
+  const [sport, league] = sportValue.split('/');
+  const leagueInfo = leagueRegistry.getLeague(sportValue);
+  const [teamData, scheduleData] = await Promise.all([
+    espnAPI.getTeamDetails(sport, league, teamId),
+    espnAPI.getTeamSchedule(sport, league, teamId)
+  ]);
+  const id = teamData.team.id;
+
+  if (view === 'card') {
+    return {
+      embeds: [teamProfile.buildCard(teamData, scheduleData, leagueInfo)],
+      components: [
+        ...teamProfile.buildButtons(sportValue, id),
+        ...reminderManager.buildButtons(sportValue, (scheduleData.events || []).filter(e => new Date(e.date) > Date.now()).slice(0, 1), 1)
+      ]
+    };
+  }
+
+  const months = teamProfile.getScheduleMonths(teamProfile.parseSchedule(scheduleData, id));
+  const requested = view.startsWith('schedule-') ? Number(view.slice('schedule-'.length)) : teamProfile.getCurrentMonthIndex(months);
+  const page = Math.min(Math.max(requested, 0), Math.max(months.length - 1, 0));
+
+  return {
+    embeds: [teamProfile.buildScheduleEmbed(teamData, scheduleData, leagueInfo, page)],
+    components: teamProfile.buildButtons(sportValue, id, page, months.length)
+  };
+}
+
+/**
+ * Build the /player profile or one page of the player's game log
+ * @param {string} view - 'profile' or 'log-<page>'
+ */
+async function buildPlayerView(sportValue, athleteId, view = 'profile') {
+  const [sport, league] = sportValue.split('/');
+  const leagueInfo = leagueRegistry.getLeague(sportValue);
+  const athleteData = await espnAPI.getAthlete(sport, league, athleteId);
+
+  if (view === 'profile') {
+    // A player without stats yet still gets a profile
+    const overviewData = await espnAPI.getAthleteOverview(sport, league, athleteId).catch(error => {
+      console.error(`Error fetching overview for athlete ${athleteId}:`, error.message);
+      return null;
+    });
+    return {
+      embeds: [playerProfile.buildProfile(athleteData, overviewData, sport, leagueInfo)],
+      components: playerProfile.buildButtons(sportValue, athleteId)
+    };
+  }
+
+  const gameLogData = await espnAPI.getAthleteGameLog(sport, league, athleteId);
+  const pageCount = playerProfile.getGameLogPageCount(gameLogData);
+  const page = Math.min(Math.max(Number(view.slice('log-'.length)) || 0, 0), pageCount - 1);
+
+  return {
+    embeds: [playerProfile.buildGameLog(athleteData, gameLogData, sport, leagueInfo, page)],
+    components: playerProfile.buildButtons(sportValue, athleteId, page, pageCount)
+  };
+}
+
+/**
+ * /odds fields for every game on a slate
+ * @param {object} filters - { date, week, teamId }
+ * @param {string} format - Moneyline format from getOddsFormat
+ * @returns {Promise<Array>} Embed fields, empty when no game has odds
+ */
+async function buildOddsFields(sportValue, { date = null, week = null, teamId = null }, format) {
+  const [sport, league] = sportValue.split('/');
+  const leagueInfo = leagueRegistry.getLeague(sportValue);
+  const data = await espnAPI.getOdds(sport, league, { date, week });
+
+  // Every look at the odds is a free snapshot for the line history
+  await oddsTracker.record(leagueInfo, data.events);
+
+  return data.events
+    .filter(event => event.awayTeam && event.homeTeam &&
+      (!teamId || event.awayTeam.id === teamId || event.homeTeam.id === teamId))
+    .map(event => {
+      const lines = [`<t:${Math.floor(new Date(event.date).getTime() / 1000)}:f>`];
+      if (event.odds) {
+        const away = event.awayTeam.abbreviation;
+        const home = event.homeTeam.abbreviation;
+        const awayMoneyLine = event.odds.awayTeamOdds?.moneyLine;
+        const homeMoneyLine = event.odds.homeTeamOdds?.moneyLine;
+        lines.push(`Spread: **${event.odds.details || 'N/A'}**`);
+        lines.push(`Over/Under: **${event.odds.overUnder || 'N/A'}**`);
+
+        const market = getMarket(awayMoneyLine, homeMoneyLine);
+        if (market) {
+          lines.push(`Money Line: **${away} ${formatPrice(awayMoneyLine, format)}** / **${home} ${formatPrice(homeMoneyLine, format)}**`);
+          lines.push(`Implied: ${away} ${formatPercent(market.away)} / ${home} ${formatPercent(market.home)} • Hold ${formatPercent(market.hold)}`);
+          lines.push(`No-vig: ${away} **${formatPercent(market.fairAway)}** / ${home} **${formatPercent(market.fairHome)}**`);
+        }
+      } else {
+        lines.push('Odds not available');
+      }
+
+      const movement = oddsTracker.describeMovement(leagueInfo.key, event.id, { format });
+      if (movement.length === 1) {
+        lines.push(`${movement[0]} • no movement since`);
+      } else {
+        lines.push(...movement);
+      }
+
+      return { name: `${event.awayTeam.displayName} @ ${event.homeTeam.displayName}`, value: lines.join('\n') };
+    });
+}
+
 // Register slash commands
 const rest = new REST({ version: '10' }).setToken(process.env.DISCORD_TOKEN);
 
@@ -180,6 +678,16 @@ async function registerCommands() {
 client.once('ready', async () => {
   console.log(`Logged in as ${client.user.tag}!`);
   await registerCommands();
+
+  // Pick up where we left off before the last restart
+  await scoreCenterManager.restore(client);
+  await liveGameManager.restore(client);
+  await teamFeedManager.restore(client);
+  await reminderManager.restore(client);
+  await digestManager.restore(client);
+  await pickemManager.restore(client);
+  await oddsTracker.restore(client);
+  jobScheduler.start();
 });
 
 // Handle slash command interactions
@@ -189,152 +697,140 @@ client.on('interactionCreate', async interaction => {
   const { commandName } = interaction;
 
   try {
-    await interaction.deferReply();
+    // Reminders, your own picks and your odds format are personal, so only the member sees them
+    const personal = commandName === 'reminders' || commandName === 'oddsformat' ||
+      (commandName === 'pickem' && interaction.options.getSubcommand() === 'mypicks');
+    await interaction.deferReply({ ephemeral: personal });
 
     switch (commandName) {
       case 'scores': {
-        const sportLeague = interaction.options.getString('sport').split('/');
-        const date = interaction.options.getString('date');
-        const data = await espnAPI.getScoreboard(sportLeague[0], sportLeague[1], date);
+        const sportValue = interaction.options.getString('sport');
+        const sportLeague = sportValue.split('/');
+        const leagueInfo = leagueRegistry.getLeague(sportValue);
+        const dateInput = interaction.options.getString('date');
+        const timezone = getGuildTimezone(interaction.guildId);
+
+        let data;
+        let label = null;
+        let byWeek = false;
+        if (dateInput) {
+          const resolved = resolveDateInput(dateInput, { timezone, leagueInfo });
+          if (!resolved.success) {
+            await interaction.editReply(`❌ ${resolved.message}`);
+            break;
+          }
+
+          label = resolved.label;
+          byWeek = Boolean(resolved.week);
+          data = resolved.week
+            ? await espnAPI.getScoreboard(sportLeague[0], sportLeague[1], null, resolved.week)
+            : await espnAPI.getScoreboardForDay(sportLeague[0], sportLeague[1], resolved.date, timezone);
+        } else {
+          data = await espnAPI.getScoreboard(sportLeague[0], sportLeague[1]);
+        }
         
         if (!data.events || data.events.length === 0) {
-          await interaction.editReply('No games found for this date.');
+          await interaction.editReply(label ? `No ${leagueInfo.name} games on ${label}.` : 'No games found for this date.');
           break;
         }
 
-        const embed = new EmbedBuilder()
-          .setColor('#0099ff')
-          .setTitle(`${data.leagues[0].name} Scores`)
-          .setDescription(`Date: ${data.events[0].date.split('T')[0]}`)
-          .setTimestamp()
-          .setFooter({ text: 'ESPN' });
-
-        for (const event of data.events.slice(0, 10)) {
+        const items = data.events.map(event => {
           const competition = event.competitions[0];
           const homeTeam = competition.competitors.find(t => t.homeAway === 'home');
           const awayTeam = competition.competitors.find(t => t.homeAway === 'away');
-          const detail = event.status.type.detail;
 
-          embed.addFields({
+          // Start times as Discord timestamps so everyone sees their own local time
+          const status = event.status.type.state === 'pre'
+            ? `Starts <t:${Math.floor(new Date(event.date).getTime() / 1000)}:f>`
+            : `Status: ${event.status.type.detail}`;
+
+          return {
             name: `${awayTeam.team.displayName} @ ${homeTeam.team.displayName}`,
-            value: `Score: **${awayTeam.score || '0'} - ${homeTeam.score || '0'}**\nStatus: ${detail}`,
-            inline: false
-          });
-        }
+            value: `Score: **${awayTeam.score || '0'} - ${homeTeam.score || '0'}**\n${status}`,
+            event
+          };
+        });
 
-        await interaction.editReply({ embeds: [embed] });
+        const firstDay = new Date(data.events[0].date).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric', timeZone: timezone });
+        await paginate(interaction, items, {
+          title: `${data.leagues[0].name} Scores`,
+          description: byWeek ? label : `${label || firstDay} (${timezone})`,
+          color: '#0099ff',
+          footer: 'ESPN',
+          perPage: 10,
+          // Reminder buttons for the games on the page being shown
+          components: pageItems => reminderManager.buildButtons(sportValue, pageItems.map(item => item.event))
+        });
         break;
       }
 
       case 'standings': {
         const league = interaction.options.getString('league').split('/');
+        const view = interaction.options.getString('view') || 'division';
         const data = await espnAPI.getStandings(league[0], league[1]);
+        const groups = espnAPI.getStandingsGroups(data, view);
         
-        if (!data.teams || data.teams.length === 0) {
+        if (groups.length === 0) {
           await interaction.editReply('No standings data available.');
           break;
         }
 
-        const embed = new EmbedBuilder()
-          .setColor('#00ff00')
-          .setTitle(`${league[1].toUpperCase()} Standings`)
-          .setTimestamp()
-          .setFooter({ text: 'ESPN' });
-
-        // Group teams by division
-        const divisions = {};
-        for (const teamData of data.teams) {
-          // Extract division from standingSummary (e.g., "4th in NFC West" -> "NFC West")
-          let divisionName = 'Unknown Division';
-          if (teamData.team.standingSummary) {
-            const match = teamData.team.standingSummary.match(/in (.+)$/);
-            if (match) {
-              divisionName = match[1];
-            }
-          }
-          
-          if (!divisions[divisionName]) {
-            divisions[divisionName] = [];
-          }
-          divisions[divisionName].push(teamData);
-        }
-
-        // Sort divisions by conference (AFC first, then NFC) and then alphabetically
-        const sortedDivisions = Object.entries(divisions).sort((a, b) => {
-          const [divA] = a;
-          const [divB] = b;
-          
-          // Extract conference (AFC/NFC)
-          const confA = divA.split(' ')[0];
-          const confB = divB.split(' ')[0];
-          
-          // Sort by conference first
-          if (confA !== confB) {
-            return confA.localeCompare(confB);
-          }
-          // Then sort alphabetically within conference
-          return divA.localeCompare(divB);
+        // Large groups (e.g. whole-league view) are split across several fields
+        const items = groups.flatMap(group => {
+          const [header, ...rows] = espnAPI.formatStandingsTable(group, data.rankBy);
+          return tableFields(group.name, header, rows);
         });
 
-        // Display each division
-        for (const [divisionName, teams] of sortedDivisions) {
-          // Sort teams by wins
-          const getWins = (team) => team.record.stats.find(s => s.name === 'wins')?.value || 0;
-          teams.sort((a, b) => getWins(b) - getWins(a));
-          
-          let divisionText = '';
-          for (const teamData of teams) {
-            divisionText += `${teamData.team.displayName}: **${teamData.record.summary}**\n`;
-          }
-          
-          embed.addFields({ name: divisionName, value: divisionText || 'No data', inline: false });
-        }
-
-        await interaction.editReply({ embeds: [embed] });
+        await paginate(interaction, items, {
+          title: `${data.name} Standings`,
+          color: '#00ff00',
+          footer: 'ESPN'
+        });
         break;
       }
 
       case 'odds': {
-        const sport = interaction.options.getString('sport').split('/');
-        const data = await espnAPI.getOdds(sport[0], sport[1]);
-        
-        if (!data.events || data.events.length === 0) {
-          await interaction.editReply('No betting odds available at this time.');
+        const sportValue = interaction.options.getString('sport');
+        const leagueInfo = leagueRegistry.getLeague(sportValue);
+        const date = interaction.options.getString('date');
+        const week = interaction.options.getInteger('week');
+        const team = interaction.options.getString('team');
+
+        if (date && !/^\d{8}$/.test(date)) {
+          await interaction.editReply('❌ Date must be in YYYYMMDD format.');
+          break;
+        }
+        if (week && leagueInfo.schedule !== 'weekly') {
+          await interaction.editReply(`❌ ${leagueInfo.name} doesn't play in weeks. Use \`date\` instead.`);
+          break;
+        }
+        if (week && week > leagueInfo.weeks) {
+          await interaction.editReply(`❌ ${leagueInfo.name} weeks run from 1 to ${leagueInfo.weeks}.`);
           break;
         }
 
-        const embed = new EmbedBuilder()
-          .setColor('#ffaa00')
-          .setTitle('Current Betting Odds')
-          .setTimestamp()
-          .setFooter({ text: 'ESPN / DraftKings' });
-
-        for (const event of data.events) {
-          if (!event.awayTeam || !event.homeTeam) {
-            continue;
-          }
-
-          let oddsText = '';
-          if (event.odds) {
-            oddsText = `Spread: **${event.odds.details || 'N/A'}**\n`;
-            oddsText += `Over/Under: **${event.odds.overUnder || 'N/A'}**\n`;
-            
-            if (event.odds.awayTeamOdds?.moneyLine && event.odds.homeTeamOdds?.moneyLine) {
-              oddsText += `Money Line: **${event.awayTeam.abbreviation} ${event.odds.awayTeamOdds.moneyLine > 0 ? '+' : ''}${event.odds.awayTeamOdds.moneyLine}** / `;
-              oddsText += `**${event.homeTeam.abbreviation} ${event.odds.homeTeamOdds.moneyLine > 0 ? '+' : ''}${event.odds.homeTeamOdds.moneyLine}**`;
-            }
-          } else {
-            oddsText = 'Odds not available';
+        let teamId = null;
+        if (team) {
+          teamId = await teamIndex.resolve(sportValue, team);
+          if (!teamId) {
+            await interaction.editReply(`No ${leagueInfo.name} team matches "${team}".`);
+            break;
           }
+        }
 
-          embed.addFields({
-            name: `${event.awayTeam.displayName} @ ${event.homeTeam.displayName}`,
-            value: oddsText,
-            inline: false
-          });
+        const format = getOddsFormat(interaction.user.id, interaction.guildId);
+        const items = await buildOddsFields(sportValue, { date, week, teamId }, format);
+        if (items.length === 0) {
+          await interaction.editReply(teamId ? 'No betting odds for that team on this slate.' : 'No betting odds available at this time.');
+          break;
         }
 
-        await interaction.editReply({ embeds: [embed] });
+        await paginate(interaction, items, {
+          title: `${leagueInfo.emoji} ${leagueInfo.name} Betting Odds${week ? ` • Week ${week}` : ''}`,
+          color: '#ffaa00',
+          footer: `ESPN / DraftKings • ${ODDS_FORMATS[format]} odds • change with /oddsformat`,
+          perPage: ODDS_PER_PAGE
+        });
         break;
       }
 
@@ -348,20 +844,12 @@ client.on('interactionCreate', async interaction => {
         }
 
         const teams = data.sports[0].leagues[0].teams;
-        const embed = new EmbedBuilder()
-          .setColor('#9900ff')
-          .setTitle(`${data.sports[0].leagues[0].name} Teams`)
-          .setTimestamp()
-          .setFooter({ text: 'ESPN' });
-
-        let teamsText = '';
-        for (const teamObj of teams.slice(0, 32)) {
-          const team = teamObj.team;
-          teamsText += `${team.displayName} (**${team.abbreviation}**)\n`;
-        }
-
-        embed.setDescription(teamsText);
-        await interaction.editReply({ embeds: [embed] });
+        await paginate(interaction, teams.map(({ team }) => `${team.displayName} (**${team.abbreviation}**)`), {
+          title: `${data.sports[0].leagues[0].name} Teams`,
+          color: '#9900ff',
+          footer: 'ESPN',
+          perPage: 30
+        });
         break;
       }
 
@@ -407,28 +895,21 @@ client.on('interactionCreate', async interaction => {
           break;
         }
 
-        const embed = new EmbedBuilder()
-          .setColor('#0066cc')
-          .setTitle(`${data.leaders.name} - Stat Leaders`)
-          .setTimestamp()
-          .setFooter({ text: 'ESPN' });
-
-        // Show top 3 categories
-        for (const category of data.leaders.categories.slice(0, 5)) {
-          if (category.leaders && category.leaders.length > 0) {
-            let leaderText = '';
-            for (const leader of category.leaders.slice(0, 5)) {
-              leaderText += `**${leader.athlete.displayName}** (${leader.athlete.team?.abbreviation || 'N/A'}): ${leader.displayValue}\n`;
-            }
-            embed.addFields({ 
-              name: category.displayName, 
-              value: leaderText || 'No data', 
-              inline: false 
-            });
-          }
-        }
-
-        await interaction.editReply({ embeds: [embed] });
+        const items = data.leaders.categories
+          .filter(category => category.leaders && category.leaders.length > 0)
+          .map(category => ({
+            name: category.displayName,
+            value: category.leaders.slice(0, 5)
+              .map(leader => `**${leader.athlete.displayName}** (${leader.athlete.team?.abbreviation || 'N/A'}): ${leader.displayValue}`)
+              .join('\n') || 'No data'
+          }));
+
+        await paginate(interaction, items, {
+          title: `${data.leaders.name} - Stat Leaders`,
+          color: '#0066cc',
+          footer: 'ESPN',
+          perPage: 5
+        });
         break;
       }
 
@@ -443,30 +924,31 @@ client.on('interactionCreate', async interaction => {
 
         const ranking = data.rankings[0]; // Get primary ranking
         
-        const embed = new EmbedBuilder()
-          .setColor('#FFD700')
-          .setTitle(ranking.name)
-          .setTimestamp()
-          .setFooter({ text: 'ESPN' });
-
-        let rankText = '';
-        for (const rank of ranking.ranks.slice(0, 25)) {
+        const lines = ranking.ranks.map(rank => {
           const change = rank.current - (rank.previous || rank.current);
           const changeSymbol = change < 0 ? '📈' : change > 0 ? '📉' : '➖';
-          rankText += `**${rank.current}.** ${rank.team.displayName || rank.team.nickname} (${rank.recordSummary || 'N/A'}) ${changeSymbol}\n`;
-        }
-        
-        embed.setDescription(rankText);
-        await interaction.editReply({ embeds: [embed] });
+          return `**${rank.current}.** ${rank.team.displayName || rank.team.nickname} (${rank.recordSummary || 'N/A'}) ${changeSymbol}`;
+        });
+
+        await paginate(interaction, lines, {
+          title: ranking.name,
+          color: '#FFD700',
+          footer: 'ESPN',
+          perPage: 25
+        });
         break;
       }
 
       case 'livegames': {
-        // Fetch current MLB games
-        const scoreboardData = await espnAPI.getScoreboard('baseball', 'mlb');
+        const sportValue = interaction.options.getString('sport') || 'baseball/mlb';
+        const sport = sportValue.split('/');
+        const leagueInfo = leagueRegistry.getLeague(sportValue);
+
+        // Fetch current games
+        const scoreboardData = await espnAPI.getScoreboard(sport[0], sport[1]);
         
         if (!scoreboardData.events || scoreboardData.events.length === 0) {
-          await interaction.editReply('No MLB games are currently active.');
+          await interaction.editReply(`No ${leagueInfo.name} games are currently active.`);
           break;
         }
 
@@ -477,62 +959,122 @@ client.on('interactionCreate', async interaction => {
         });
 
         if (liveGames.length === 0) {
-          await interaction.editReply('No live MLB games at the moment.');
+          await interaction.editReply(`No live ${leagueInfo.name} games at the moment.`);
           break;
         }
 
-        const embed = new EmbedBuilder()
-          .setColor('#002D62')
-          .setTitle('⚾ Live MLB Games')
-          .setDescription('Click a button below to create a live update thread for that game!')
-          .setTimestamp()
-          .setFooter({ text: 'MLB' });
-
-        const rows = [];
-        let currentRow = new ActionRowBuilder();
-        let buttonCount = 0;
-
-        for (const game of liveGames.slice(0, 10)) {
+        const items = liveGames.map(game => {
           const competition = game.competitions[0];
           const homeTeam = competition.competitors.find(t => t.homeAway === 'home');
           const awayTeam = competition.competitors.find(t => t.homeAway === 'away');
           const status = game.status.type.detail;
 
-          embed.addFields({
+          return {
             name: `${awayTeam.team.displayName} @ ${homeTeam.team.displayName}`,
             value: `Score: ${awayTeam.score || 0} - ${homeTeam.score || 0}\nStatus: ${status}`,
-            inline: false
-          });
+            game
+          };
+        });
+
+        await paginate(interaction, items, {
+          title: `${leagueInfo.emoji} Live ${leagueInfo.name} Games`,
+          description: 'Click a button below to create a live update thread for that game!',
+          color: '#002D62',
+          footer: leagueInfo.name,
+          perPage: 10,
+          components: pageItems => {
+            const pageGames = pageItems.map(item => item.game);
+            const rows = [];
+
+            // One live thread button per game, five per row
+            pageGames.forEach((game, index) => {
+              const competition = game.competitions[0];
+              const homeTeam = competition.competitors.find(t => t.homeAway === 'home');
+              const awayTeam = competition.competitors.find(t => t.homeAway === 'away');
+
+              if (index % 5 === 0) rows.push(new ActionRowBuilder());
+              rows[rows.length - 1].addComponents(
+                new ButtonBuilder()
+                  .setCustomId(`livegame_${sportValue}_${game.id}`)
+                  .setLabel(`${awayTeam.team.abbreviation} @ ${homeTeam.team.abbreviation}`)
+                  .setStyle(ButtonStyle.Primary)
+                  .setEmoji(leagueInfo.emoji)
+              );
+            });
+
+            // Reminders for games that haven't started, in the rows left beside the page buttons
+            rows.push(...reminderManager.buildButtons(sportValue, pageGames, 4 - rows.length));
+            return rows;
+          }
+        });
+        break;
+      }
+
+      case 'team': {
+        const sportValue = interaction.options.getString('league');
+        const team = interaction.options.getString('team');
+        const leagueInfo = leagueRegistry.getLeague(sportValue);
+        const teamId = await teamIndex.resolve(sportValue, team);
+
+        if (!teamId) {
+          await interaction.editReply(`No ${leagueInfo.name} team matches "${team}".`);
+          break;
+        }
+
+        await interaction.editReply(await buildTeamView(sportValue, teamId));
+        break;
+      }
 
-          // Create button for this game
-          const button = new ButtonBuilder()
-            .setCustomId(`livegame_${game.id}`)
-            .setLabel(`${awayTeam.team.abbreviation} @ ${homeTeam.team.abbreviation}`)
-            .setStyle(ButtonStyle.Primary)
-            .setEmoji('⚾');
-
-          currentRow.addComponents(button);
-          buttonCount++;
-
-          // Discord allows max 5 buttons per row
-          if (buttonCount === 5) {
-            rows.push(currentRow);
-            currentRow = new ActionRowBuilder();
-            buttonCount = 0;
+      case 'player': {
+        const sportValue = interaction.options.getString('league');
+        const [sport, league] = sportValue.split('/');
+        const leagueInfo = leagueRegistry.getLeague(sportValue);
+        let athleteId = interaction.options.getString('player').trim();
+
+        // Typed a name instead of picking a suggestion
+        if (!/^\d+$/.test(athleteId)) {
+          const [match] = await espnAPI.searchPlayers(sport, league, athleteId);
+          if (!match) {
+            await interaction.editReply(`No ${leagueInfo.name} player matches "${athleteId}".`);
+            break;
           }
+          athleteId = match.id;
         }
 
-        // Add remaining buttons
-        if (buttonCount > 0) {
-          rows.push(currentRow);
+        await interaction.editReply(await buildPlayerView(sportValue, athleteId));
+        break;
+      }
+
+      case 'game': {
+        const sportValue = interaction.options.getString('sport');
+        const [sport, league] = sportValue.split('/');
+        const leagueInfo = leagueRegistry.getLeague(sportValue);
+        let gameId = interaction.options.getString('game').trim();
+
+        // Typed text instead of a suggestion: match it against today's games
+        if (!/^\d+$/.test(gameId)) {
+          const scoreboardData = await espnAPI.getScoreboard(sport, league);
+          const search = gameId.toLowerCase();
+          const match = (scoreboardData.events || []).find(event =>
+            event.name.toLowerCase().includes(search) || event.shortName?.toLowerCase().includes(search)
+          );
+          if (!match) {
+            await interaction.editReply(`No ${leagueInfo.name} game today matches "${gameId}".`);
+            break;
+          }
+          gameId = match.id;
         }
 
-        await interaction.editReply({ embeds: [embed], components: rows });
+        const summary = await espnAPI.getGameSummary(sport, league, gameId);
+        await interaction.editReply({
+          embeds: [boxScore.buildEmbed(summary, sportValue)],
+          components: boxScore.buildButtons(summary, sportValue, gameId)
+        });
         break;
       }
 
       case 'scorecenter': {
-        const action = interaction.options.getString('action');
+        const action = interaction.options.getSubcommand();
         
         if (action === 'start') {
           const result = await scoreCenterManager.startScoreCenter(interaction.guild);
@@ -540,10 +1082,368 @@ client.on('interactionCreate', async interaction => {
         } else if (action === 'stop') {
           const result = await scoreCenterManager.stopScoreCenter(interaction.guild);
           await interaction.editReply(result.success ? `✅ ${result.message}` : `❌ ${result.message}`);
+        } else if (action === 'status') {
+          const leagues = scoreCenterManager.getStatus(interaction.guildId);
+          if (!leagues) {
+            await interaction.editReply('❌ Score center is not running in this server.');
+            break;
+          }
+
+          const embed = new EmbedBuilder()
+            .setColor('#0099ff')
+            .setTitle('📺 Score Center Status')
+            .setDescription(leagues.length > 0
+              ? 'Running • updates every 30 seconds'
+              : 'Running • no live or upcoming games right now')
+            .setTimestamp();
+
+          for (const league of leagues.slice(0, 25)) {
+            let gamesText = '';
+            for (const game of league.games) {
+              const line = `<#${game.channelId}> ${game.label || ''} • ${game.status || ''}\n`;
+              if (gamesText.length + line.length > 1024) break;
+              gamesText += line;
+            }
+            embed.addFields({
+              name: `${league.emoji} ${league.name} (${league.games.length})`,
+              value: gamesText || 'No games',
+              inline: false
+            });
+          }
+
+          await interaction.editReply({ embeds: [embed] });
+        } else if (action === 'config') {
+          const options = interaction.options;
+          const changes = {};
+
+          const splitList = value => value.split(',').map(item => item.trim()).filter(Boolean);
+
+          if (options.getString('leagues') !== null) {
+            changes.leagues = splitList(options.getString('leagues'))
+              .map(name => leagueRegistry.getLeague(name)?.key || name);
+          }
+          if (options.getString('teams') !== null) {
+            const teams = splitList(options.getString('teams'));
+            changes.teams = teams.length === 1 && teams[0].toLowerCase() === 'all' ? [] : teams;
+          }
+          if (options.getString('ranked') !== null) changes.ranked = options.getString('ranked');
+          if (options.getBoolean('pregame') !== null) changes.includePregame = options.getBoolean('pregame');
+          if (options.getInteger('pregame_hours') !== null) changes.pregameHours = options.getInteger('pregame_hours') || null;
+          if (options.getString('category_name') !== null) changes.categoryName = options.getString('category_name');
+          if (options.getString('category_position') !== null) changes.categoryPosition = options.getString('category_position');
+          if (options.getInteger('final_minutes') !== null) changes.finalMinutes = options.getInteger('final_minutes');
+
+          let config = scoreCenterManager.getConfig(interaction.guildId);
+          let title = '⚙️ Score Center Settings';
+          if (Object.keys(changes).length > 0) {
+            const result = scoreCenterManager.updateConfig(interaction.guildId, changes);
+            if (!result.success) {
+              await interaction.editReply(`❌ ${result.message}`);
+              break;
+            }
+            config = result.config;
+            title = '✅ Score Center Settings Updated';
+          }
+
+          const leagueNames = config.leagues.map(key => leagueRegistry.getLeague(key)?.name || key);
+          const rankedText = { off: 'Off', either: 'Either team ranked', both: 'Both teams ranked' };
+
+          const embed = new EmbedBuilder()
+            .setColor('#0099ff')
+            .setTitle(title)
+            .addFields(
+              { name: 'Leagues', value: leagueNames.join(', '), inline: false },
+              { name: 'Teams', value: config.teams.length > 0 ? config.teams.join(', ').toUpperCase() : 'All teams', inline: true },
+              { name: 'Ranked Only', value: rankedText[config.ranked], inline: true },
+              {
+                name: 'Pregame',
+                value: !config.includePregame ? 'Off' : config.pregameHours ? `${config.pregameHours}h before start` : 'All of today',
+                inline: true
+              },
+              { name: 'Category Name', value: config.categoryName, inline: true },
+              { name: 'Category Position', value: config.categoryPosition === 'top' ? 'Top' : 'Bottom', inline: true },
+              { name: 'Finals Linger', value: `${config.finalMinutes} min`, inline: true }
+            )
+            .setFooter({ text: scoreCenterManager.isRunning(interaction.guildId) ? 'Changes apply on the next update' : 'Score center is not running' })
+            .setTimestamp();
+
+          await interaction.editReply({ embeds: [embed] });
         }
         break;
       }
 
+      case 'digest': {
+        const action = interaction.options.getSubcommand();
+
+        if (action === 'preview') {
+          const embeds = await digestManager.buildDigest(interaction.guildId);
+          if (embeds.length === 0) {
+            await interaction.editReply('Nothing to report for the selected leagues today.');
+            break;
+          }
+
+          // One embed per message keeps each under Discord's total embed size
+          await interaction.editReply({ content: '👀 Digest preview', embeds: [embeds[0]] });
+          for (const embed of embeds.slice(1)) {
+            await interaction.followUp({ embeds: [embed] });
+          }
+        } else if (action === 'disable') {
+          if (!digestManager.getConfig(interaction.guildId).enabled) {
+            await interaction.editReply('❌ The daily digest is not enabled.');
+            break;
+          }
+          const result = digestManager.updateConfig(interaction.guildId, { enabled: false });
+          await interaction.editReply(`✅ ${result.message}`);
+        } else if (action === 'config') {
+          const options = interaction.options;
+          const changes = {};
+
+          if (options.getChannel('channel')) changes.channelId = options.getChannel('channel').id;
+          if (options.getString('time') !== null) changes.time = options.getString('time').trim();
+          if (options.getString('timezone') !== null) changes.timezone = options.getString('timezone').trim();
+          if (options.getString('leagues') !== null) {
+            changes.leagues = options.getString('leagues').split(',').map(item => item.trim()).filter(Boolean)
+              .map(name => leagueRegistry.getLeague(name)?.key || name);
+          }
+
+          let config = digestManager.getConfig(interaction.guildId);
+          let title = '📰 Daily Digest Settings';
+          if (Object.keys(changes).length > 0) {
+            // Configuring turns the digest on, in this channel unless another was picked
+            changes.enabled = true;
+            changes.channelId = changes.channelId || config.channelId || interaction.channelId;
+
+            const result = digestManager.updateConfig(interaction.guildId, changes);
+            if (!result.success) {
+              await interaction.editReply(`❌ ${result.message}`);
+              break;
+            }
+            config = result.config;
+            title = '✅ Daily Digest Updated';
+          }
+
+          const embed = new EmbedBuilder()
+            .setColor('#0099ff')
+            .setTitle(title)
+            .addFields(
+              { name: 'Status', value: config.enabled ? 'On' : 'Off', inline: true },
+              { name: 'Channel', value: config.channelId ? `<#${config.channelId}>` : 'Not set', inline: true },
+              { name: 'Time', value: `${config.time} ${config.timezone}`, inline: true },
+              { name: 'Leagues', value: config.leagues.map(key => leagueRegistry.getLeague(key)?.name || key).join(', '), inline: false }
+            )
+            .setTimestamp();
+
+          if (config.enabled) {
+            embed.setFooter({ text: 'Next digest' }).setTimestamp(digestManager.getNextRunTime(config));
+          }
+
+          await interaction.editReply({ embeds: [embed] });
+        }
+        break;
+      }
+
+      case 'follow': {
+        const sportValue = interaction.options.getString('league');
+        const team = interaction.options.getString('team');
+        const leagueInfo = leagueRegistry.getLeague(sportValue);
+        const teamId = await teamIndex.resolve(sportValue, team);
+
+        if (!teamId) {
+          await interaction.editReply(`No ${leagueInfo.name} team matches "${team}".`);
+          break;
+        }
+
+        const teamData = (await teamIndex.getIndex(sportValue)).find(t => t.id === teamId);
+        const result = teamFeedManager.follow(interaction.channel, leagueInfo.key, {
+          id: teamId,
+          displayName: teamData.name,
+          abbreviation: teamData.abbreviation
+        });
+        await interaction.editReply(result.success ? result.message : `❌ ${result.message}`);
+        break;
+      }
+
+      case 'unfollow': {
+        const result = teamFeedManager.unfollow(interaction.channelId, interaction.options.getString('team'));
+        await interaction.editReply(result.success ? `✅ ${result.message}` : `❌ ${result.message}`);
+        break;
+      }
+
+      case 'reminders': {
+        const action = interaction.options.getSubcommand();
+        const userId = interaction.user.id;
+
+        if (action === 'list') {
+          const reminders = reminderManager.getReminders(userId);
+          if (reminders.length === 0) {
+            await interaction.editReply('You have no reminders. Use the ⏰ buttons on `/scores`, `/team` or `/livegames` to add one.');
+            break;
+          }
+
+          const lines = reminders.map(job =>
+            `• **${job.data.name}** <t:${Math.floor(job.data.startTime / 1000)}:f> (DM <t:${Math.floor(job.runAt / 1000)}:R>)`
+          );
+          await paginate(interaction, lines, {
+            title: '⏰ Your Reminders',
+            color: '#0099ff',
+            perPage: 15
+          });
+        } else if (action === 'cancel') {
+          const result = reminderManager.cancelReminder(userId, interaction.options.getString('reminder'));
+          await interaction.editReply(result.success ? `✅ ${result.message}` : `❌ ${result.message}`);
+        } else if (action === 'settings') {
+          const changes = {};
+          const minutes = interaction.options.getInteger('minutes');
+          const timezone = interaction.options.getString('timezone');
+          const quietStart = interaction.options.getInteger('quiet_start');
+          const quietEnd = interaction.options.getInteger('quiet_end');
+          if (minutes !== null) changes.minutes = minutes;
+          if (timezone) changes.timezone = timezone.trim();
+          if (quietStart !== null) changes.quietStart = quietStart;
+          if (quietEnd !== null) changes.quietEnd = quietEnd;
+
+          let settings = reminderManager.getSettings(userId);
+          if (Object.keys(changes).length > 0) {
+            const result = reminderManager.updateSettings(userId, changes);
+            if (!result.success) {
+              await interaction.editReply(`❌ ${result.message}`);
+              break;
+            }
+            settings = result.settings;
+          }
+
+          const quiet = settings.quietStart === settings.quietEnd
+            ? 'Off'
+            : `${settings.quietStart}:00 - ${settings.quietEnd}:00`;
+          await interaction.editReply([
+            '⏰ **Reminder settings**',
+            `• Sent **${settings.minutes} minutes** before start`,
+            `• Timezone: **${settings.timezone}**`,
+            `• Quiet hours: **${quiet}** (reminders due then are sent just before quiet hours start)`,
+            'Changes apply to reminders you set from now on.'
+          ].join('\n'));
+        }
+        break;
+      }
+
+      case 'oddsformat': {
+        const format = interaction.options.getString('format');
+        const scope = interaction.options.getString('scope') || 'user';
+
+        if (format && scope === 'guild' && !interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+          await interaction.editReply('❌ You need the Manage Server permission to set the server default. Leave out `scope` to set your own.');
+          break;
+        }
+        if (format) {
+          setOddsFormat(scope, scope === 'guild' ? interaction.guildId : interaction.user.id, format);
+          await interaction.editReply(scope === 'guild'
+            ? `✅ Odds now show in **${ODDS_FORMATS[format]}** format by default in this server. Members can still pick their own.`
+            : `✅ Odds now show in **${ODDS_FORMATS[format]}** format for you.`);
+          break;
+        }
+
+        const current = getOddsFormat(interaction.user.id, interaction.guildId);
+        await interaction.editReply(`Odds show in **${ODDS_FORMATS[current]}** format for you, e.g. ${formatPrice(150, current)} / ${formatPrice(-170, current)}.`);
+        break;
+      }
+
+      case 'oddsalerts': {
+        const action = interaction.options.getSubcommand();
+
+        if (action === 'subscribe') {
+          const leagueInfo = leagueRegistry.getLeague(interaction.options.getString('league'));
+          const thresholds = {};
+          if (interaction.options.getNumber('spread') !== null) thresholds.spread = interaction.options.getNumber('spread');
+          if (interaction.options.getNumber('total') !== null) thresholds.total = interaction.options.getNumber('total');
+
+          const result = oddsTracker.subscribe(interaction.channel, leagueInfo.key, thresholds);
+          await interaction.editReply(result.message);
+        } else if (action === 'unsubscribe') {
+          const league = interaction.options.getString('league');
+          const result = oddsTracker.unsubscribe(interaction.channelId, league ? leagueRegistry.getLeague(league).key : null);
+          await interaction.editReply(result.success ? `✅ ${result.message}` : `❌ ${result.message}`);
+        } else if (action === 'list') {
+          const subscription = oddsTracker.getSubscription(interaction.channelId);
+          if (!subscription) {
+            await interaction.editReply("This channel doesn't get line movement alerts. Add some with `/oddsalerts subscribe`.");
+            break;
+          }
+
+          const lines = Object.entries(subscription.leagues).map(([key, settings]) => {
+            const leagueInfo = leagueRegistry.getLeague(key);
+            return `• ${leagueInfo.emoji} **${leagueInfo.name}**: spread ${settings.spread}+ pts, total ${settings.total}+ pts`;
+          });
+          await interaction.editReply(`📉 **Line movement alerts**\n${lines.join('\n')}`);
+        }
+        break;
+      }
+
+      case 'pickem': {
+        const action = interaction.options.getSubcommand();
+
+        if (action === 'post') {
+          const date = interaction.options.getString('date');
+          if (date && !/^\d{8}$/.test(date)) {
+            await interaction.editReply('❌ Date must be in YYYYMMDD format.');
+            break;
+          }
+
+          const result = await pickemManager.postSlate(interaction.channel, interaction.options.getString('league'), {
+            ats: interaction.options.getBoolean('spread') || false,
+            date
+          });
+          await interaction.editReply(result.success ? `✅ ${result.message}` : `❌ ${result.message}`);
+        } else if (action === 'leaderboard') {
+          const leagueInfo = leagueRegistry.getLeague(interaction.options.getString('league'));
+          const scope = interaction.options.getString('scope') || 'week';
+          const leaderboard = pickemManager.getLeaderboard(interaction.guildId, leagueInfo.key, scope);
+
+          if (!leaderboard) {
+            await interaction.editReply(`No ${leagueInfo.name} pick'em slates yet. Post one with \`/pickem post\`.`);
+            break;
+          }
+
+          const medals = ['🥇', '🥈', '🥉'];
+          const lines = leaderboard.rows.map((row, index) =>
+            `${medals[index] || `${index + 1}.`} <@${row.userId}> **${row.correct}**/${row.graded}`
+          );
+
+          await paginate(interaction, lines.length > 0 ? lines : ['No picks yet.'], {
+            title: `${leagueInfo.emoji} ${leagueInfo.name} Pick'em • ${leaderboard.label}`,
+            color: '#ff9900',
+            footer: 'Correct picks / graded picks • pushes and ties not counted',
+            perPage: 20
+          });
+        } else if (action === 'mypicks') {
+          const lines = pickemManager.getOpenPicks(interaction.guildId, interaction.user.id);
+          await interaction.editReply(lines.length > 0
+            ? `🎯 **Your open picks**\n${lines.join('\n')}`.slice(0, 2000)
+            : 'You have no picks on games still to be played.');
+        }
+        break;
+      }
+
+      case 'timezone': {
+        const zone = interaction.options.getString('zone')?.trim();
+
+        if (!zone) {
+          await interaction.editReply(`🕒 This server reads dates in **${getGuildTimezone(interaction.guildId)}**.`);
+          break;
+        }
+        if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+          await interaction.editReply('❌ You need the Manage Server permission to change the server timezone.');
+          break;
+        }
+        if (!isValidTimezone(zone)) {
+          await interaction.editReply(`❌ Unknown timezone "${zone}". Use a name like America/Chicago or Europe/London.`);
+          break;
+        }
+
+        setGuildTimezone(interaction.guildId, zone);
+        await interaction.editReply(`✅ This server now reads dates like "today" and "saturday" in **${zone}**.`);
+        break;
+      }
+
       case 'help': {
         const helpEmbed = new EmbedBuilder()
           .setColor('#0099ff')
@@ -552,53 +1452,103 @@ client.on('interactionCreate', async interaction => {
           .addFields(
             {
               name: '📊 /scores <sport> [date]',
-              value: 'Get live scores\n• Sports: NFL, NBA, MLB, NHL, College Football, College Basketball, MLS, WNBA\n• Optional date format: YYYYMMDD',
+              value: `Get live scores\n• Sports: ${leagueRegistry.describe('scores')}\n• Optional date: today, yesterday, tomorrow, a weekday ("saturday", "last friday"), "week 7" (NFL, college football), 2026-10-19 or 10/19\n• Days follow the server timezone (\`/timezone\`); start times show in your own`,
+              inline: false
+            },
+            {
+              name: '🏆 /standings <league> [view]',
+              value: `Get current standings\n• Leagues: ${leagueRegistry.describe('standings')}\n• Optional view: division, conference or league`,
+              inline: false
+            },
+            {
+              name: '💰 /odds <sport> [date] [week] [team]',
+              value: `Get betting odds for every game on the slate with implied and no-vig win probabilities, the book's hold, the opening line and how it has moved\n• Sports: ${leagueRegistry.describe('odds')}\n• Optional date (YYYYMMDD) or week (NFL, college football), or a single team\n• Buttons page through the games`,
               inline: false
             },
             {
-              name: '🏆 /standings <league>',
-              value: 'Get current standings\n• Leagues: NFL, NBA, MLB, NHL, College Football, MLS',
+              name: '🔢 /oddsformat [format] [scope]',
+              value: 'Show odds in American (+150), decimal (2.50) or fractional (3/2) format\n• Set it for yourself or as the server default',
               inline: false
             },
             {
-              name: '💰 /odds <sport>',
-              value: 'Get betting odds\n• Sports: NFL, NBA, MLB, NHL, College Football',
+              name: '📉 /oddsalerts <subscribe|unsubscribe|list>',
+              value: 'Alert this channel when a spread or total moves\n• `subscribe` picks the league and how many points count as a move (default 1.5 for spreads, 2 for totals)\n• Lines are checked every 30 minutes',
               inline: false
             },
             {
               name: '👥 /teams <league>',
-              value: 'List all teams\n• Leagues: NFL, NBA, MLB, NHL',
+              value: `List all teams\n• Leagues: ${leagueRegistry.describe('teams')}`,
               inline: false
             },
             {
               name: '📰 /news <sport>',
-              value: 'Get latest news\n• Sports: NFL, NBA, MLB, NHL, College Football',
+              value: `Get latest news\n• Sports: ${leagueRegistry.describe('news')}`,
               inline: false
             },
             {
               name: '⭐ /leaders <sport>',
-              value: 'Get stat leaders\n• Sports: NFL, NBA, MLB, NHL',
+              value: `Get stat leaders\n• Sports: ${leagueRegistry.describe('leaders')}`,
               inline: false
             },
             {
               name: '📈 /rankings <sport>',
-              value: 'Get rankings (college only)\n• Sports: College Football, College Basketball',
+              value: `Get rankings (college only)\n• Sports: ${leagueRegistry.describe('rankings')}`,
+              inline: false
+            },
+            {
+              name: '🎮 /livegames [sport]',
+              value: `Show live games with buttons to create live update threads\n• Sports: ${leagueRegistry.describe('scores')} (default MLB)\n• Posts scoring plays, drives, penalties, period changes and the final\n• Thread auto-closes 1 hour after game ends`,
+              inline: false
+            },
+            {
+              name: '🧢 /team <league> <team>',
+              value: `Team card with record, standing, venue, next five games and last five results\n• Team names autocomplete (city, nickname, abbreviation or aliases like "Habs")\n• Leagues: ${leagueRegistry.describe('teams')}\n• Button opens the full season schedule by month`,
               inline: false
             },
             {
-              name: '⚾ /livegames',
-              value: 'Show live MLB games with buttons to create live update threads\n• Creates a thread with real-time play-by-play updates\n• Thread auto-closes 1 hour after game ends',
+              name: '🙋 /player <league> <player>',
+              value: `Player bio, team, position and season stat line\n• Player names autocomplete as you type\n• Stat line fits the position (batting or pitching, skater or goalie, QB, RB, ...)\n• Button opens a paged game log`,
               inline: false
             },
             {
-              name: '📺 /scorecenter <start|stop>',
-              value: 'Start/stop the live score center\n• Automatically creates categories for each sport\n• Creates channels showing live scores in channel names\n• Updates every 30 seconds\n• Supports: NFL, NBA, NHL, MLB',
+              name: '📋 /game <sport> <game>',
+              value: `Box score for one game\n• Suggests today's matchups as you type\n• Linescore, team stats, top performers and scoring summary\n• Buttons flip to each team's box score and refresh live games`,
+              inline: false
+            },
+            {
+              name: '📣 /follow <league> <team> • /unfollow [team]',
+              value: `Follow a team in this channel\n• Posts when the game starts, on every score (calling out lead changes), at halftime/end of period and the final result\n• Leagues: ${leagueRegistry.describe('scores')}\n• \`/unfollow\` without a team clears every follow in the channel`,
+              inline: false
+            },
+            {
+              name: '⏰ /reminders <list|cancel|settings>',
+              value: 'Get a DM before a game starts\n• Add reminders with the ⏰ buttons on `/scores`, `/team` and `/livegames`\n• `settings` picks how many minutes ahead, your timezone and quiet hours',
+              inline: false
+            },
+            {
+              name: '📰 /digest <config|preview|disable>',
+              value: `Daily digest posted at a set time in the server's timezone\n• Yesterday's finals, today's games with start times and TV, standings movement and headlines\n• \`config\` picks the channel, time, timezone and leagues and turns it on`,
+              inline: false
+            },
+            {
+              name: '🎯 /pickem <post|leaderboard|mypicks>',
+              value: "Server pick'em contests\n• `post` puts upcoming games in this channel with a button per team, optionally against the spread\n• Picks lock at kickoff and are graded when the game goes final\n• `leaderboard` shows the latest week or the whole season",
+              inline: false
+            },
+            {
+              name: '🕒 /timezone [zone]',
+              value: 'Server timezone for `/scores` dates and the default for `/digest`',
+              inline: false
+            },
+            {
+              name: '📺 /scorecenter <start|stop|status|config>',
+              value: `Start/stop the live score center\n• Automatically creates categories for each sport\n• Creates channels showing live scores in channel names\n• Updates every 30 seconds\n• Runs independently in every server\n• \`config\` picks leagues, teams, pregame window, category naming and how long finals stay\n• Default leagues: ${leagueRegistry.describe('scoreCenter')}`,
               inline: false
             }
           )
           .addFields({
             name: '📝 Examples',
-            value: '`/scores sport:NFL`\n`/standings league:NFL`\n`/odds sport:NBA`\n`/leaders sport:NFL`\n`/rankings sport:College Football`\n`/livegames` - Track live MLB games\n`/scorecenter action:start` - Start score center',
+            value: '`/scores sport:NFL`\n`/standings league:NFL`\n`/odds sport:NBA`\n`/leaders sport:NFL`\n`/rankings sport:College Football`\n`/livegames sport:NFL` - Track live NFL games\n`/scorecenter start` - Start score center',
             inline: false
           })
           .setFooter({ text: 'Data provided by ESPN API' })
@@ -613,7 +1563,7 @@ client.on('interactionCreate', async interaction => {
     }
   } catch (error) {
     console.error(`Error handling ${commandName}:`, error);
-    const errorMessage = 'Sorry, there was an error fetching data from ESPN. Please try again later.';
+    const errorMessage = getErrorMessage(error);
 
     if (interaction.deferred) {
       await interaction.editReply(errorMessage);
@@ -623,33 +1573,183 @@ client.on('interactionCreate', async interaction => {
   }
 });
 
-// Handle button interactions for live games
+// Autocomplete for team names and today's matchups
+client.on('interactionCreate', async interaction => {
+  if (!interaction.isAutocomplete()) return;
+
+  const focused = interaction.options.getFocused(true);
+
+  try {
+    // Unfollow suggests the channel's own follows rather than a league's teams
+    if (interaction.commandName === 'unfollow') {
+      await interaction.respond(teamFeedManager.getFollowChoices(interaction.channelId, focused.value).slice(0, 25));
+      return;
+    }
+
+    if (interaction.commandName === 'reminders') {
+      const search = focused.value.toLowerCase();
+      const choices = reminderManager.getReminders(interaction.user.id)
+        .filter(job => !search || job.data.name.toLowerCase().includes(search))
+        .slice(0, 25)
+        .map(job => ({
+          name: `${job.data.name} • ${new Date(job.data.startTime).toLocaleString('en-US', { timeZone: reminderManager.getSettings(interaction.user.id).timezone, dateStyle: 'medium', timeStyle: 'short' })}`.slice(0, 100),
+          value: job.id
+        }));
+      await interaction.respond(choices);
+      return;
+    }
+
+    // Team and game options always follow a league option
+    const sportValue = interaction.options.getString('league') || interaction.options.getString('sport');
+    if (!sportValue) {
+      await interaction.respond([]);
+      return;
+    }
+
+    let choices = [];
+    switch (focused.name) {
+      case 'team': {
+        choices = await teamIndex.getChoices(sportValue, focused.value);
+        break;
+      }
+
+      case 'player': {
+        // Searching on one letter matches half the league
+        if (focused.value.trim().length < 2) break;
+
+        const [sport, league] = sportValue.split('/');
+        const players = await espnAPI.searchPlayers(sport, league, focused.value.trim());
+        choices = players.slice(0, 25).map(player => ({
+          name: [player.displayName, player.subtitle || player.description].filter(Boolean).join(' • ').slice(0, 100),
+          value: String(player.id)
+        }));
+        break;
+      }
+
+      case 'game': {
+        const [sport, league] = sportValue.split('/');
+        const search = focused.value.toLowerCase();
+        const scoreboardData = await espnAPI.getScoreboard(sport, league);
+
+        choices = (scoreboardData.events || [])
+          .filter(event => !search || event.name.toLowerCase().includes(search) || event.shortName?.toLowerCase().includes(search))
+          .slice(0, 25)
+          .map(event => ({
+            name: `${event.shortName || event.name} • ${event.status.type.shortDetail || event.status.type.detail}`.slice(0, 100),
+            value: event.id
+          }));
+        break;
+      }
+    }
+
+    await interaction.respond(choices);
+  } catch (error) {
+    console.error(`Error handling ${focused.name} autocomplete:`, error.message);
+    // Autocomplete must be answered even when ESPN fails
+    await interaction.respond([]).catch(() => {});
+  }
+});
+
+// Handle button interactions for live games and box scores
 client.on('interactionCreate', async interaction => {
   if (!interaction.isButton()) return;
 
-  if (interaction.customId.startsWith('livegame_')) {
+  if (interaction.customId.startsWith('team_')) {
+    try {
+      // team_<view>_<sport>/<league>_<teamId>
+      const [, view, sportValue, teamId] = interaction.customId.split('_');
+
+      await interaction.deferUpdate();
+      await interaction.editReply(await buildTeamView(sportValue, teamId, view));
+    } catch (error) {
+      console.error('Error handling team button:', error);
+      await interaction.followUp({ content: getErrorMessage(error), ephemeral: true }).catch(() => {});
+    }
+    return;
+  }
+
+  if (interaction.customId.startsWith('pick_')) {
     try {
       await interaction.deferReply({ ephemeral: true });
-      
-      const gameId = interaction.customId.replace('livegame_', '');
-      
-      // Create a thread for this game
-      const threadName = `⚾ Live Game ${gameId}`;
-      const thread = await interaction.channel.threads.create({
-        name: threadName,
-        autoArchiveDuration: 1440, // 24 hours
-        reason: 'Live MLB game updates'
-      });
 
-      // Start tracking the game
-      const result = await liveGameManager.startTracking(gameId, thread, interaction.channelId);
-      
+      // pick_<slateId>_<eventId>_<teamId>
+      const [, slateId, eventId, teamId] = interaction.customId.split('_');
+      const result = pickemManager.makePick(interaction.guildId, slateId, eventId, teamId, interaction.user.id);
       if (result.success) {
-        await interaction.editReply(`✅ Created live thread: <#${thread.id}>\nLive updates will appear there!`);
-      } else {
-        await interaction.editReply(`❌ ${result.message}`);
-        await thread.delete();
+        const entry = result.slate.messages.find(m => m.id === interaction.message.id);
+        if (entry) await interaction.message.edit(pickemManager.buildSlateMessage(result.slate, entry.eventIds));
       }
+      await interaction.editReply(result.success ? `✅ ${result.message}` : `❌ ${result.message}`);
+    } catch (error) {
+      console.error('Error handling pick button:', error);
+      await interaction.editReply('❌ Failed to save your pick.');
+    }
+    return;
+  }
+
+  if (interaction.customId.startsWith('remind_')) {
+    try {
+      await interaction.deferReply({ ephemeral: true });
+
+      // remind_<sport>/<league>_<eventId>
+      const [, sportValue, eventId] = interaction.customId.split('_');
+      const result = await reminderManager.addReminder(interaction.user.id, sportValue, eventId);
+      await interaction.editReply(result.success ? result.message : `❌ ${result.message}`);
+    } catch (error) {
+      console.error('Error handling reminder button:', error);
+      await interaction.editReply('❌ Failed to set the reminder.');
+    }
+    return;
+  }
+
+  if (interaction.customId.startsWith('player_')) {
+    try {
+      // player_<view>_<sport>/<league>_<athleteId>
+      const [, view, sportValue, athleteId] = interaction.customId.split('_');
+
+      await interaction.deferUpdate();
+      await interaction.editReply(await buildPlayerView(sportValue, athleteId, view));
+    } catch (error) {
+      console.error('Error handling player button:', error);
+      await interaction.followUp({ content: getErrorMessage(error), ephemeral: true }).catch(() => {});
+    }
+    return;
+  }
+
+  if (interaction.customId.startsWith('game_')) {
+    try {
+      // game_<view>_<sport>/<league>_<gameId>, refresh buttons use refresh-<view>
+      const [, action, sportValue, gameId] = interaction.customId.split('_');
+      const view = action.replace('refresh-', '');
+      const [sport, league] = sportValue.split('/');
+
+      await interaction.deferUpdate();
+      const summary = await espnAPI.getGameSummary(sport, league, gameId);
+      await interaction.editReply({
+        embeds: [boxScore.buildEmbed(summary, sportValue, view)],
+        components: boxScore.buildButtons(summary, sportValue, gameId, view)
+      });
+    } catch (error) {
+      console.error('Error handling box score button:', error);
+      await interaction.followUp({ content: getErrorMessage(error), ephemeral: true }).catch(() => {});
+    }
+    return;
+  }
+
+  if (interaction.customId.startsWith('livegame_')) {
+    try {
+      await interaction.deferReply({ ephemeral: true });
+      
+      // livegame_<sport>/<league>_<gameId>; older buttons were MLB only: livegame_<gameId>
+      const parts = interaction.customId.split('_');
+      const gameId = parts[parts.length - 1];
+      const [sport, league] = (parts.length > 2 ? parts[1] : 'baseball/mlb').split('/');
+      const leagueInfo = leagueRegistry.getLeague(`${sport}/${league}`);
+
+      const result = await liveGameManager.startThread(interaction.channel, gameId, leagueInfo);
+      await interaction.editReply(result.success
+        ? `✅ Created live thread: <#${result.thread.id}>\nLive updates will appear there!`
+        : `❌ ${result.message}`);
     } catch (error) {
       console.error('Error handling live game button:', error);
       await interaction.editReply('❌ Failed to create live game thread.');
@@ -661,10 +1761,12 @@ client.on('interactionCreate', async interaction => {
 export { client };
 
 /**
- * Start the Discord bot (login and initialize)
+ * Start the Discord bot (load saved state, login and initialize)
+ * State loads first so no command, job or dashboard request can write before it
  */
 export async function startBot() {
   try {
+    await stateStore.load();
     await client.login(process.env.DISCORD_TOKEN);
     console.log('Bot login initiated');
   } catch (err) {
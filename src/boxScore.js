@@ -0,0 +1,198 @@
+import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import leagueRegistry from './leagues.js';
+
+/**
+ * Box Score Formatter
+ * Turns ESPN game summaries into /game embeds: a summary view (linescore,
+ * team stats, top performers, scoring summary) and one box score per team
+ */
+class BoxScoreFormatter {
+  /**
+   * Build the embed for one view of a game
+   * @param {object} summary - ESPN game summary
+   * @param {string} sportValue - League value, e.g. 'football/nfl'
+   * @param {string} view - summary, away or home
+   */
+  buildEmbed(summary, sportValue, view = 'summary') {
+    const competition = summary.header.competitions[0];
+    const homeTeam = competition.competitors.find(t => t.homeAway === 'home');
+    const awayTeam = competition.competitors.find(t => t.homeAway === 'away');
+    const leagueInfo = leagueRegistry.getLeague(sportValue);
+
+    const embed = new EmbedBuilder()
+      .setColor('#0099ff')
+      .setTitle(`${awayTeam.team.displayName} ${awayTeam.score || 0} @ ${homeTeam.team.displayName} ${homeTeam.score || 0}`)
+      .setDescription(competition.status.type.detail)
+      .setTimestamp()
+      .setFooter({ text: `${leagueInfo?.name || 'ESPN'} • ESPN` });
+
+    if (view === 'summary') {
+      this.addSummaryFields(embed, summary, awayTeam, homeTeam, leagueInfo);
+    } else {
+      const team = view === 'home' ? homeTeam : awayTeam;
+      const logo = team.team.logo || team.team.logos?.[0]?.href;
+      if (logo) embed.setThumbnail(logo);
+      this.addTeamBoxFields(embed, summary, team);
+    }
+
+    if (!embed.data.fields?.length) {
+      embed.addFields({ name: 'No Stats Yet', value: 'Box score data will appear once the game starts.', inline: false });
+    }
+
+    return embed;
+  }
+
+  /**
+   * Buttons to flip between views, plus refresh while the game is live
+   */
+  buildButtons(summary, sportValue, eventId, view = 'summary') {
+    const competition = summary.header.competitions[0];
+    const homeTeam = competition.competitors.find(t => t.homeAway === 'home');
+    const awayTeam = competition.competitors.find(t => t.homeAway === 'away');
+
+    const button = (target, label) => new ButtonBuilder()
+      .setCustomId(`game_${target}_${sportValue}_${eventId}`)
+      .setLabel(label)
+      .setStyle(view === target ? ButtonStyle.Primary : ButtonStyle.Secondary)
+      .setDisabled(view === target);
+
+    const row = new ActionRowBuilder().addComponents(
+      button('summary', 'Summary'),
+      button('away', `${awayTeam.team.abbreviation} Box`),
+      button('home', `${homeTeam.team.abbreviation} Box`)
+    );
+
+    if (competition.status.type.state === 'in') {
+      row.addComponents(
+        new ButtonBuilder()
+          .setCustomId(`game_refresh-${view}_${sportValue}_${eventId}`)
+          .setLabel('Refresh')
+          .setEmoji('🔄')
+          .setStyle(ButtonStyle.Success)
+      );
+    }
+
+    return [row];
+  }
+
+  addSummaryFields(embed, summary, awayTeam, homeTeam, leagueInfo) {
+    // Linescore by period/inning
+    const periods = Math.max(awayTeam.linescores?.length || 0, homeTeam.linescores?.length || 0);
+    if (periods > 0) {
+      const extraColumns = [['T', t => t.score || 0]];
+      if (awayTeam.hits !== undefined) extraColumns.push(['H', t => t.hits], ['E', t => t.errors ?? 0]);
+
+      const width = Math.max(awayTeam.team.abbreviation.length, homeTeam.team.abbreviation.length) + 1;
+      const header = ''.padEnd(width) + Array.from({ length: periods }, (_, i) => String(i + 1).padStart(3)).join('')
+        + extraColumns.map(([label]) => label.padStart(4)).join('');
+      const row = team => team.team.abbreviation.padEnd(width)
+        + Array.from({ length: periods }, (_, i) => String(team.linescores?.[i]?.displayValue ?? '-').padStart(3)).join('')
+        + extraColumns.map(([, value]) => String(value(team)).padStart(4)).join('');
+
+      embed.addFields({
+        name: `Linescore (${leagueInfo?.periods.name || 'Period'})`,
+        value: this.codeBlock([header, row(awayTeam), row(homeTeam)]),
+        inline: false
+      });
+    }
+
+    // Team stat comparison
+    const [awayStats, homeStats] = ['away', 'home'].map(side => {
+      const teamId = (side === 'away' ? awayTeam : homeTeam).team.id;
+      return summary.boxscore?.teams?.find(t => t.team.id === teamId)?.statistics || [];
+    });
+    if (awayStats.length > 0 && homeStats.length > 0) {
+      const lines = [`${''.padEnd(20)}${awayTeam.team.abbreviation.padStart(8)}${homeTeam.team.abbreviation.padStart(8)}`];
+      for (const stat of awayStats.slice(0, 14)) {
+        const homeStat = homeStats.find(s => s.name === stat.name);
+        if (!homeStat) continue;
+        const label = (stat.label || stat.name).slice(0, 19);
+        lines.push(`${label.padEnd(20)}${String(stat.displayValue).padStart(8)}${String(homeStat.displayValue).padStart(8)}`);
+      }
+      embed.addFields({ name: 'Team Stats', value: this.codeBlock(lines), inline: false });
+    }
+
+    // Top performers for each side
+    for (const team of [awayTeam, homeTeam]) {
+      const teamLeaders = summary.leaders?.find(l => l.team?.id === team.team.id);
+      const lines = [];
+      for (const category of teamLeaders?.leaders || []) {
+        const leader = category.leaders?.[0];
+        if (!leader) continue;
+        lines.push(`**${category.displayName}:** ${leader.athlete?.displayName || 'N/A'} - ${leader.displayValue}`);
+      }
+      if (lines.length > 0) {
+        embed.addFields({ name: `${team.team.abbreviation} Top Performers`, value: this.fitLines(lines), inline: true });
+      }
+    }
+
+    // Scoring summary (most recent last)
+    const scoringPlays = summary.scoringPlays || (summary.plays || []).filter(play => play.scoringPlay);
+    if (scoringPlays.length > 0) {
+      const periodPrefix = (leagueInfo?.periods.name || 'Period')[0];
+      const lines = scoringPlays.map(play => {
+        const when = [play.period?.number && `${periodPrefix}${play.period.number}`, play.clock?.displayValue]
+          .filter(Boolean).join(' ');
+        const team = play.team?.abbreviation ? `**${play.team.abbreviation}** ` : '';
+        const score = play.awayScore !== undefined ? ` (${play.awayScore}-${play.homeScore})` : '';
+        return `\`${when}\` ${team}${play.text}${score}`;
+      });
+      embed.addFields({ name: 'Scoring Summary', value: this.fitLines(lines, { keep: 'last' }), inline: false });
+    }
+  }
+
+  addTeamBoxFields(embed, summary, team) {
+    const players = summary.boxscore?.players?.find(p => p.team.id === team.team.id);
+    let embedLength = (embed.data.title?.length || 0) + (embed.data.description?.length || 0);
+
+    for (const group of players?.statistics || []) {
+      if (!group.athletes?.length) continue;
+
+      // Keep rows narrow enough to read on mobile
+      const labels = (group.labels || []).slice(0, 6);
+      const header = ''.padEnd(14) + labels.map(label => label.padStart(6)).join('');
+      const rows = group.athletes.slice(0, 10).map(entry => {
+        const name = (entry.athlete?.shortName || entry.athlete?.displayName || '').slice(0, 13).padEnd(14);
+        return name + labels.map((_, i) => String(entry.stats?.[i] ?? '-').padStart(6)).join('');
+      });
+
+      const name = group.text || group.name || 'Stats';
+      const value = this.codeBlock([header, ...rows]);
+      if (embed.data.fields?.length >= 25 || embedLength + name.length + value.length > 5800) break;
+
+      embed.addFields({ name: name.charAt(0).toUpperCase() + name.slice(1), value, inline: false });
+      embedLength += name.length + value.length;
+    }
+  }
+
+  /**
+   * Wrap lines in a code block, dropping rows that don't fit in a field
+   */
+  codeBlock(lines, limit = 1024) {
+    const kept = [];
+    for (const line of lines) {
+      if (['```', ...kept, line, '```'].join('\n').length > limit) break;
+      kept.push(line);
+    }
+    return ['```', ...kept, '```'].join('\n');
+  }
+
+  /**
+   * Join lines up to a field's length limit
+   * @param {object} options - keep: 'first' or 'last' lines when trimming
+   */
+  fitLines(lines, { limit = 1024, keep = 'first' } = {}) {
+    const ordered = keep === 'last' ? [...lines].reverse() : lines;
+    const kept = [];
+    let length = 0;
+    for (const line of ordered) {
+      const text = line.length > limit ? `${line.slice(0, limit - 1)}…` : line;
+      if (length + text.length + 1 > limit) break;
+      kept.push(text);
+      length += text.length + 1;
+    }
+    return (keep === 'last' ? kept.reverse() : kept).join('\n');
+  }
+}
+
+export default new BoxScoreFormatter();
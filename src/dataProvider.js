@@ -0,0 +1,262 @@
+import fetch from 'node-fetch';
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Data Providers
+ * Pluggable HTTP layer behind the ESPN service and the MLB live feed.
+ *
+ * - live:   fetch from the real APIs (default)
+ * - record: fetch from the real APIs and save every response to disk
+ * - replay: serve saved responses back without touching the network
+ *
+ * Each recorded URL keeps a timeline of snapshots, so replaying a recorded
+ * scoreboard walks through the game again, optionally at accelerated speed.
+ */
+
+// Query params that identify a point in time rather than a resource
+const TIME_PARAMS = ['timecode'];
+
+/**
+ * Minimal fetch Response stand-in for recorded data
+ */
+class FixtureResponse {
+  constructor(status, body, headers = {}) {
+    this.status = status;
+    this.ok = status >= 200 && status < 300;
+    this.body = body;
+    this.headers = {
+      get: name => headers[name.toLowerCase()] ?? null
+    };
+  }
+
+  async text() {
+    return this.body;
+  }
+
+  async json() {
+    return JSON.parse(this.body);
+  }
+}
+
+/**
+ * Reads and writes recorded responses, one line-delimited JSON file per URL:
+ * a { url } header line, then one { t, status, headers, body } line per snapshot
+ */
+class FixtureStore {
+  constructor(directory) {
+    this.directory = directory;
+    this.fixtures = new Map(); // key -> { url, snapshots: [{ t, status, headers, body }] }
+    this.index = null;
+    this.writePromise = Promise.resolve();
+  }
+
+  /**
+   * Strip time params so every snapshot of a resource lands in one timeline
+   */
+  normalizeURL(url) {
+    const parsed = new URL(url);
+    for (const param of TIME_PARAMS) {
+      parsed.searchParams.delete(param);
+    }
+    return parsed.toString();
+  }
+
+  keyFor(url) {
+    return crypto.createHash('sha1').update(this.normalizeURL(url)).digest('hex');
+  }
+
+  pathFor(key) {
+    return path.join(this.directory, `${key}.jsonl`);
+  }
+
+  /**
+   * Load the recording index ({ startedAt }), creating it when recording
+   */
+  async loadIndex(create = false) {
+    if (this.index) return this.index;
+
+    const indexPath = path.join(this.directory, 'index.json');
+    try {
+      this.index = JSON.parse(await fs.readFile(indexPath, 'utf8'));
+    } catch (error) {
+      if (!create) {
+        this.index = { startedAt: null };
+        return this.index;
+      }
+      this.index = { startedAt: Date.now() };
+      await fs.mkdir(this.directory, { recursive: true });
+      await fs.writeFile(indexPath, JSON.stringify(this.index, null, 2));
+    }
+    return this.index;
+  }
+
+  async load(url) {
+    const key = this.keyFor(url);
+    if (this.fixtures.has(key)) return this.fixtures.get(key);
+
+    let fixture = null;
+    try {
+      const lines = (await fs.readFile(this.pathFor(key), 'utf8')).split('\n').filter(Boolean);
+      const [header, ...snapshots] = lines.map(line => JSON.parse(line));
+      fixture = { url: header.url, snapshots };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error reading fixture for ${url}:`, error);
+      }
+    }
+
+    this.fixtures.set(key, fixture);
+    return fixture;
+  }
+
+  /**
+   * Append a snapshot to a URL's timeline, skipping unchanged responses.
+   * Appends run one at a time so concurrent responses can't interleave.
+   */
+  async append(url, snapshot) {
+    const write = this.writePromise.then(async () => {
+      await this.loadIndex(true);
+
+      const key = this.keyFor(url);
+      let fixture = await this.load(url);
+      const last = fixture?.snapshots[fixture.snapshots.length - 1];
+
+      if (last && last.status === snapshot.status && last.body === snapshot.body) {
+        return;
+      }
+
+      let lines = '';
+      if (!fixture) {
+        fixture = { url: this.normalizeURL(url), snapshots: [] };
+        lines += JSON.stringify({ url: fixture.url }) + '\n';
+      }
+      lines += JSON.stringify(snapshot) + '\n';
+
+      await fs.appendFile(this.pathFor(key), lines);
+      fixture.snapshots.push(snapshot);
+      this.fixtures.set(key, fixture);
+    });
+
+    // A failed append is reported to its caller without stalling the ones queued behind it
+    this.writePromise = write.catch(() => {});
+    return await write;
+  }
+
+  /**
+   * Latest snapshot recorded at or before a point in recording time
+   */
+  async find(url, recordedTime) {
+    const fixture = await this.load(url);
+    if (!fixture || fixture.snapshots.length === 0) return null;
+
+    let match = fixture.snapshots[0];
+    for (const snapshot of fixture.snapshots) {
+      if (snapshot.t > recordedTime) break;
+      match = snapshot;
+    }
+    return match;
+  }
+}
+
+/**
+ * Fetches straight from the network
+ */
+class LiveProvider {
+  constructor() {
+    this.mode = 'live';
+  }
+
+  async fetch(url, options = {}) {
+    return await fetch(url, options);
+  }
+}
+
+/**
+ * Fetches from the network and saves every response
+ */
+class RecordingProvider {
+  constructor(store) {
+    this.mode = 'record';
+    this.store = store;
+  }
+
+  async fetch(url, options = {}) {
+    const response = await fetch(url, options);
+    const body = await response.text();
+    const headers = {};
+    const retryAfter = response.headers.get('retry-after');
+    if (retryAfter) headers['retry-after'] = retryAfter;
+
+    try {
+      await this.store.append(url, { t: Date.now(), status: response.status, headers, body });
+    } catch (error) {
+      console.error(`Error recording response for ${url}:`, error);
+    }
+
+    return new FixtureResponse(response.status, body, headers);
+  }
+}
+
+/**
+ * Serves recorded responses, advancing through each timeline on a replay clock
+ */
+class ReplayProvider {
+  constructor(store, speed = 1) {
+    this.mode = 'replay';
+    this.store = store;
+    this.speed = speed;
+    this.replayStartedAt = Date.now();
+  }
+
+  /**
+   * Restart the replay from the beginning of the recording
+   */
+  reset() {
+    this.replayStartedAt = Date.now();
+  }
+
+  /**
+   * Current position in recording time
+   */
+  async getRecordedTime() {
+    const index = await this.store.loadIndex();
+    if (!index.startedAt) return Infinity;
+    return index.startedAt + (Date.now() - this.replayStartedAt) * this.speed;
+  }
+
+  async fetch(url) {
+    const snapshot = await this.store.find(url, await this.getRecordedTime());
+    if (!snapshot) {
+      console.warn(`No recorded response for ${url}`);
+      return new FixtureResponse(404, '');
+    }
+    return new FixtureResponse(snapshot.status, snapshot.body, snapshot.headers);
+  }
+}
+
+/**
+ * Create a data provider
+ * @param {string} mode - live, record or replay
+ * @param {object} options - { directory, speed }
+ */
+export function createDataProvider(mode = 'live', { directory = 'fixtures', speed = 1 } = {}) {
+  const store = new FixtureStore(path.resolve(directory));
+
+  switch (mode) {
+    case 'record':
+      console.log(`Recording API responses to ${store.directory}`);
+      return new RecordingProvider(store);
+    case 'replay':
+      console.log(`Replaying API responses from ${store.directory} at ${speed}x`);
+      return new ReplayProvider(store, speed);
+    default:
+      return new LiveProvider();
+  }
+}
+
+export default createDataProvider(process.env.DATA_PROVIDER, {
+  directory: process.env.FIXTURES_DIR || 'fixtures',
+  speed: Number(process.env.REPLAY_SPEED || 1)
+});
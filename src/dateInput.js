@@ -0,0 +1,88 @@
+import { getZonedParts } from './timezone.js';
+
+/**
+ * Date Input
+ * Turns what members type for a date ("today", "sat", "last friday",
+ * "week 7", "2026-10-19", "10/19") into an ESPN date key or week number,
+ * reading relative days in the guild's timezone.
+ */
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const RELATIVE_DAYS = { today: 0, tonight: 0, yesterday: -1, tomorrow: 1 };
+
+const EXAMPLES = '"today", "yesterday", "tomorrow", "saturday", "last friday", "week 7", "2026-10-19" or "10/19"';
+
+/**
+ * Calendar day as a UTC midnight Date, or null when it doesn't exist (e.g. 2/30)
+ */
+function calendarDay(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+}
+
+function matchWeekday(word) {
+  return WEEKDAYS.findIndex(name => word.length >= 3 && name.startsWith(word));
+}
+
+/**
+ * Resolve a date option
+ * @param {string} input - What the member typed
+ * @param {object} options - timezone: the guild's timezone, leagueInfo: league being asked about, now
+ * @returns {object} { success, date: YYYYMMDD, week, label } or { success: false, message }
+ */
+export function resolveDateInput(input, { timezone, leagueInfo, now = Date.now() }) {
+  const text = input.trim().toLowerCase().replace(/\s+/g, ' ');
+  const today = getZonedParts(now, timezone);
+  const todayDate = new Date(Date.UTC(today.year, today.month - 1, today.day));
+  let date = null;
+
+  const week = text.match(/^(?:week|wk|w) ?(\d{1,2})$/);
+  if (week) {
+    if (leagueInfo.schedule !== 'weekly') {
+      return { success: false, message: `${leagueInfo.name} doesn't play in weeks. Try a day like "today" or "saturday".` };
+    }
+    if (Number(week[1]) < 1 || Number(week[1]) > leagueInfo.weeks) {
+      return { success: false, message: `${leagueInfo.name} weeks run from 1 to ${leagueInfo.weeks}. Try "week 7" or a day like "saturday".` };
+    }
+    return { success: true, week: Number(week[1]), label: `Week ${week[1]}` };
+  }
+
+  const weekday = text.match(/^(?:(this|next|last) )?([a-z]+)$/);
+  const iso = text.match(/^(\d{4})-?(\d{2})-?(\d{2})$/);
+  const us = text.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?$/);
+
+  if (text in RELATIVE_DAYS) {
+    date = new Date(todayDate);
+    date.setUTCDate(date.getUTCDate() + RELATIVE_DAYS[text]);
+  } else if (weekday && matchWeekday(weekday[2]) !== -1) {
+    // Plain or "this": the coming one, today included; "next": never today; "last": the one before today
+    const [, modifier] = weekday;
+    const target = matchWeekday(weekday[2]);
+    let offset = (target - todayDate.getUTCDay() + 7) % 7;
+    if (modifier === 'next' && offset === 0) offset = 7;
+    if (modifier === 'last') offset = offset === 0 ? -7 : offset - 7;
+    date = new Date(todayDate);
+    date.setUTCDate(date.getUTCDate() + offset);
+  } else if (iso) {
+    date = calendarDay(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+  } else if (us) {
+    // Without a year, the month/day closest to today
+    let year = us[3] ? Number(us[3].length === 2 ? `20${us[3]}` : us[3]) : today.year;
+    date = calendarDay(year, Number(us[1]), Number(us[2]));
+    if (date && !us[3] && Math.abs(date - todayDate) > 183 * 86400000) {
+      year += date < todayDate ? 1 : -1;
+      date = calendarDay(year, Number(us[1]), Number(us[2]));
+    }
+  }
+
+  if (!date) {
+    return { success: false, message: `Couldn't read "${input}" as a date. Try ${EXAMPLES}.` };
+  }
+
+  return {
+    success: true,
+    date: date.toISOString().slice(0, 10).replace(/-/g, ''),
+    label: date.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric', timeZone: 'UTC' })
+  };
+}
@@ -0,0 +1,296 @@
+import { EmbedBuilder } from 'discord.js';
+import espnAPI from './espnAPI.js';
+import leagueRegistry from './leagues.js';
+import stateStore from './stateStore.js';
+import jobScheduler from './jobScheduler.js';
+import { isValidTimezone, getZonedParts, zonedTimeToUTC, getDateKey, getGuildTimezone } from './timezone.js';
+
+const DEFAULT_CONFIG = {
+  channelId: null,
+  enabled: false,
+  time: '08:00',
+  leagues: leagueRegistry.getLeagues('scoreCenter').map(l => l.key)
+};
+
+// Headlines per league in a digest
+const HEADLINE_COUNT = 3;
+
+// Teams moving at least this many places in their league are worth a mention
+const NOTABLE_RANK_CHANGE = 2;
+
+/**
+ * Digest Manager
+ * Posts a daily digest to a channel at a set time in the guild's timezone:
+ * yesterday's finals, today's games with start times and TV, notable
+ * standings movement since the last digest and top headlines, one embed per league.
+ *
+ * State ('digests'): { guildId: { ...config, jobId, standings: { leagueKey: { teamId: { rank, group, groupRank } } } } }
+ */
+class DigestManager {
+  constructor() {
+    this.client = null;
+
+    jobScheduler.register('postDigest', job => this.runScheduledDigest(job.data.guildId));
+  }
+
+  /**
+   * Make sure every enabled digest has its next post scheduled
+   */
+  async restore(client) {
+    this.client = client;
+
+    for (const guildId of Object.keys(stateStore.get('digests'))) {
+      const config = this.getConfig(guildId);
+      const pending = jobScheduler.getJobs().some(job => job.id === config.jobId);
+      if (config.enabled && !pending) {
+        this.scheduleNext(guildId);
+      }
+    }
+  }
+
+  /**
+   * A guild's digest settings; the timezone defaults to the server's
+   */
+  getConfig(guildId) {
+    return { ...DEFAULT_CONFIG, timezone: getGuildTimezone(guildId), ...stateStore.get('digests')[guildId] };
+  }
+
+  /**
+   * Change a guild's digest settings and reschedule it
+   * @param {object} changes - { channelId, time, timezone, leagues, enabled }
+   */
+  updateConfig(guildId, changes) {
+    if (changes.time && !/^([01]?\d|2[0-3]):[0-5]\d$/.test(changes.time)) {
+      return { success: false, message: 'Time must be HH:MM in 24-hour format, e.g. 08:30.' };
+    }
+    if (changes.timezone && !isValidTimezone(changes.timezone)) {
+      return { success: false, message: `Unknown timezone "${changes.timezone}". Use a name like America/Chicago or Europe/London.` };
+    }
+    if (changes.leagues) {
+      const unknown = changes.leagues.filter(key => !leagueRegistry.getLeague(key)?.capabilities.includes('scores'));
+      if (unknown.length > 0) {
+        return { success: false, message: `Unknown league(s): ${unknown.join(', ')}. Choose from: ${leagueRegistry.describe('scores')}` };
+      }
+      if (changes.leagues.length === 0) {
+        return { success: false, message: 'Pick at least one league.' };
+      }
+    }
+
+    const config = { ...this.getConfig(guildId), ...changes };
+    if (config.enabled && !config.channelId) {
+      return { success: false, message: 'Pick a channel for the digest.' };
+    }
+
+    stateStore.update('digests', digests => {
+      digests[guildId] = { ...digests[guildId], ...changes };
+    });
+
+    jobScheduler.cancel(config.jobId);
+    if (config.enabled) {
+      this.scheduleNext(guildId);
+    }
+
+    return { success: true, message: config.enabled ? 'Daily digest updated.' : 'Daily digest disabled.', config: this.getConfig(guildId) };
+  }
+
+  /**
+   * Next time the digest is due
+   */
+  getNextRunTime(config, now = Date.now()) {
+    const [hour, minute] = config.time.split(':').map(Number);
+    const today = getZonedParts(now, config.timezone);
+
+    let runAt = zonedTimeToUTC({ ...today, hour, minute }, config.timezone);
+    if (runAt <= now) {
+      runAt = zonedTimeToUTC({ ...today, day: today.day + 1, hour, minute }, config.timezone);
+    }
+    return runAt;
+  }
+
+  scheduleNext(guildId) {
+    const config = this.getConfig(guildId);
+    const jobId = jobScheduler.schedule('postDigest', this.getNextRunTime(config) - Date.now(), { guildId });
+
+    stateStore.update('digests', digests => {
+      digests[guildId] = { ...digests[guildId], jobId };
+    });
+    return jobId;
+  }
+
+  /**
+   * Post the digest and schedule tomorrow's (scheduled job)
+   */
+  async runScheduledDigest(guildId) {
+    const config = this.getConfig(guildId);
+    if (!config.enabled) return;
+
+    // Schedule first so one failed post doesn't end the digest
+    this.scheduleNext(guildId);
+
+    const channel = await this.client.channels.fetch(config.channelId).catch(() => null);
+    if (!channel) {
+      console.error(`Digest channel ${config.channelId} for guild ${guildId} is gone, disabling digest`);
+      this.updateConfig(guildId, { enabled: false });
+      return;
+    }
+
+    for (const embed of await this.buildDigest(guildId, { updateStandings: true })) {
+      await channel.send({ embeds: [embed] });
+    }
+  }
+
+  /**
+   * Build the digest, one embed per league with something to report
+   * @param {object} options - updateStandings: save this digest's standings as the baseline for the next
+   */
+  async buildDigest(guildId, { updateStandings = false } = {}) {
+    const config = this.getConfig(guildId);
+    const now = Date.now();
+    const yesterday = getDateKey(now, config.timezone, -1);
+    const today = getDateKey(now, config.timezone);
+    const embeds = [];
+
+    for (const leagueInfo of leagueRegistry.getLeagues().filter(l => config.leagues.includes(l.key))) {
+      const { sport, league } = leagueInfo;
+      const [yesterdayData, todayData, news, standingsMoves] = await Promise.all([
+        espnAPI.getScoreboard(sport, league, yesterday).catch(error => this.logError(leagueInfo, 'finals', error)),
+        espnAPI.getScoreboard(sport, league, today).catch(error => this.logError(leagueInfo, 'schedule', error)),
+        leagueInfo.capabilities.includes('news')
+          ? espnAPI.getNews(sport, league).catch(error => this.logError(leagueInfo, 'news', error))
+          : null,
+        leagueInfo.capabilities.includes('standings')
+          ? this.getStandingsMovement(guildId, leagueInfo, updateStandings).catch(error => this.logError(leagueInfo, 'standings', error))
+          : null
+      ]);
+
+      const embed = new EmbedBuilder()
+        .setColor('#0099ff')
+        .setTitle(`${leagueInfo.emoji} ${leagueInfo.name} Daily Digest`)
+        .setTimestamp()
+        .setFooter({ text: `${config.timezone} • ESPN` });
+
+      const finals = (yesterdayData?.events || []).filter(event => event.status.type.state === 'post');
+      if (finals.length > 0) {
+        embed.addFields({ name: "Yesterday's Finals", value: this.fitLines(finals.map(event => this.formatFinal(event))), inline: false });
+      }
+
+      const games = (todayData?.events || []).filter(event => event.status.type.state !== 'post');
+      if (games.length > 0) {
+        embed.addFields({ name: "Today's Games", value: this.fitLines(games.map(event => this.formatUpcoming(event))), inline: false });
+      }
+
+      if (standingsMoves?.length > 0) {
+        embed.addFields({ name: 'Standings Movement', value: this.fitLines(standingsMoves), inline: false });
+      }
+
+      const headlines = (news?.articles || []).slice(0, HEADLINE_COUNT)
+        .map(article => article.links?.web?.href ? `• [${article.headline}](${article.links.web.href})` : `• ${article.headline}`);
+      if (headlines.length > 0) {
+        embed.addFields({ name: 'Headlines', value: this.fitLines(headlines), inline: false });
+      }
+
+      if (embed.data.fields?.length) {
+        embeds.push(embed);
+      }
+    }
+
+    return embeds;
+  }
+
+  logError(leagueInfo, part, error) {
+    console.error(`Error fetching ${leagueInfo.name} ${part} for digest:`, error.message);
+    return null;
+  }
+
+  formatFinal(event) {
+    const competition = event.competitions[0];
+    const home = competition.competitors.find(t => t.homeAway === 'home');
+    const away = competition.competitors.find(t => t.homeAway === 'away');
+    const side = team => team.winner
+      ? `**${team.team.abbreviation} ${team.score}**`
+      : `${team.team.abbreviation} ${team.score}`;
+    return `${side(away)} @ ${side(home)}${event.status.type.shortDetail !== 'Final' ? ` (${event.status.type.shortDetail})` : ''}`;
+  }
+
+  formatUpcoming(event) {
+    const competition = event.competitions[0];
+    const home = competition.competitors.find(t => t.homeAway === 'home');
+    const away = competition.competitors.find(t => t.homeAway === 'away');
+    const tv = competition.broadcasts?.flatMap(b => b.names || []).join(', ');
+    const when = event.status.type.state === 'in'
+      ? `🔴 ${event.status.type.shortDetail}`
+      : `<t:${Math.floor(new Date(event.date).getTime() / 1000)}:t>`;
+    return `${when} ${away.team.abbreviation} @ ${home.team.abbreviation}${tv ? ` • ${tv}` : ''}`;
+  }
+
+  /**
+   * Division leader changes and big moves in the league table since the last digest
+   * @param {boolean} save - Store the current table as the next digest's baseline
+   */
+  async getStandingsMovement(guildId, leagueInfo, save) {
+    const standings = await espnAPI.getStandings(leagueInfo.sport, leagueInfo.league);
+    const [leagueTable] = espnAPI.getStandingsGroups(standings, 'league');
+    const groups = espnAPI.getStandingsGroups(standings, 'division');
+
+    const current = {};
+    leagueTable?.teams.forEach((row, index) => {
+      current[row.team.id] = { rank: index + 1, name: row.team.displayName };
+    });
+    for (const group of groups) {
+      group.teams.forEach((row, index) => {
+        Object.assign(current[row.team.id] || {}, { group: group.name, groupRank: index + 1 });
+      });
+    }
+
+    const previous = this.getConfig(guildId).standings?.[leagueInfo.key];
+    if (save) {
+      stateStore.update('digests', digests => {
+        digests[guildId] = { ...digests[guildId], standings: { ...digests[guildId]?.standings, [leagueInfo.key]: current } };
+      });
+    }
+    if (!previous) return [];
+
+    const moves = [];
+    for (const [teamId, now] of Object.entries(current)) {
+      const before = previous[teamId];
+      if (!before) continue;
+
+      if (now.groupRank === 1 && before.groupRank !== 1 && now.group) {
+        moves.push({ size: Infinity, text: `👑 **${now.name}** took over 1st in the ${now.group}` });
+      } else if (Math.abs(before.rank - now.rank) >= NOTABLE_RANK_CHANGE) {
+        const up = now.rank < before.rank;
+        moves.push({
+          size: Math.abs(before.rank - now.rank),
+          text: `${up ? '📈' : '📉'} **${now.name}** ${up ? 'up' : 'down'} ${Math.abs(before.rank - now.rank)} to ${now.rank}${this.ordinal(now.rank)} overall`
+        });
+      }
+    }
+
+    return moves.sort((a, b) => b.size - a.size).slice(0, 5).map(move => move.text);
+  }
+
+  ordinal(n) {
+    const suffixes = { one: 'st', two: 'nd', few: 'rd', other: 'th' };
+    return suffixes[new Intl.PluralRules('en-US', { type: 'ordinal' }).select(n)];
+  }
+
+  /**
+   * Join lines up to a field's length limit, noting how many were left out
+   */
+  fitLines(lines, limit = 1024) {
+    const kept = [];
+    let length = 0;
+    for (const [index, line] of lines.entries()) {
+      const more = `…and ${lines.length - index} more`;
+      if (length + line.length + 1 + more.length > limit) {
+        kept.push(more);
+        break;
+      }
+      kept.push(line);
+      length += line.length + 1;
+    }
+    return kept.join('\n');
+  }
+}
+
+export default new DigestManager();
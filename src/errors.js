@@ -0,0 +1,46 @@
+/**
+ * ESPN API Errors
+ * Typed errors thrown by the ESPN service so callers can tell failures apart
+ */
+
+/**
+ * Base class for all ESPN API failures
+ */
+export class ESPNError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {object} details - Optional { url, status, endpoint }
+   */
+  constructor(message, { url = null, status = null, endpoint = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.url = url;
+    this.status = status;
+    this.endpoint = endpoint;
+  }
+}
+
+/**
+ * ESPN has no data at the requested URL (404)
+ */
+export class NotFoundError extends ESPNError {}
+
+/**
+ * ESPN is throttling us (429)
+ */
+export class RateLimitedError extends ESPNError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.retryAfter = details.retryAfter ?? null;
+  }
+}
+
+/**
+ * ESPN is unreachable, timing out, returning 5xx, or the circuit breaker is open
+ */
+export class UpstreamUnavailableError extends ESPNError {}
+
+/**
+ * ESPN responded but the body was not the JSON we expected
+ */
+export class BadPayloadError extends ESPNError {}
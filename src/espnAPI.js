@@ -1,4 +1,13 @@
-import fetch from 'node-fetch';
+import dataProvider from './dataProvider.js';
+import {
+  ESPNError,
+  NotFoundError,
+  RateLimitedError,
+  UpstreamUnavailableError,
+  BadPayloadError
+} from './errors.js';
+import { formatPrice } from './oddsFormat.js';
+import { getDateKey } from './timezone.js';
 
 /**
  * ESPN API Service
@@ -8,33 +17,314 @@ class ESPNAPIService {
   constructor() {
     this.baseURL = 'https://site.api.espn.com/apis/site/v2/sports';
     this.coreURL = 'https://sports.core.api.espn.com/v2/sports';
-    this.rateLimit = process.env.ESPN_RATE_LIMIT || 100;
+    this.standingsURL = 'https://site.api.espn.com/apis/v2/sports';
+    this.commonURL = 'https://site.web.api.espn.com/apis/common/v3';
+    this.rateLimit = Number(process.env.ESPN_RATE_LIMIT || 100);
     this.lastRequestTime = 0;
+    this.provider = dataProvider;
+
+    // Retry and circuit breaker settings
+    this.requestTimeout = Number(process.env.ESPN_TIMEOUT || 10000);
+    this.maxRetries = Number(process.env.ESPN_MAX_RETRIES ?? 2);
+    this.baseBackoff = 500;
+    this.maxBackoff = 10000;
+    this.circuitThreshold = 5; // consecutive failed requests (after retries) before opening
+    this.circuitCooldown = 60000;
+    this.circuit = { state: 'closed', failures: 0, openedAt: 0, trialInFlight: false };
+    this.maxParallelRequests = 4; // per batch, e.g. odds for a full slate
+
+    // Response cache shared by every command and manager
+    this.cache = new Map(); // url -> { data, expiresAt }
+    this.inFlight = new Map(); // url -> Promise
+    this.cacheStats = { hits: 0, misses: 0, coalesced: 0 };
+    this.maxCacheEntries = 500;
+    this.cacheTTLs = {
+      scoreboard: 15000, // 15 seconds - live scores
+      summary: 15000, // 15 seconds - live box scores
+      odds: 60000, // 1 minute
+      news: 300000, // 5 minutes
+      schedule: 900000, // 15 minutes
+      leaders: 900000, // 15 minutes
+      standings: 900000, // 15 minutes
+      athleteStats: 900000, // 15 minutes
+      team: 3600000, // 1 hour
+      athlete: 3600000, // 1 hour
+      search: 3600000, // 1 hour
+      rankings: 3600000, // 1 hour
+      teams: 86400000 // 24 hours
+    };
   }
 
   /**
-   * Rate limiting wrapper for API requests
+   * Cached request wrapper
+   * Serves fresh responses from the cache and coalesces concurrent
+   * identical requests into a single fetch
+   * @param {string} url - Request URL
+   * @param {string} type - Endpoint type, used to pick the cache TTL
    */
-  async makeRequest(url) {
+  async makeRequest(url, type = null) {
+    const ttl = type ? this.cacheTTLs[type] || 0 : 0;
+
+    if (ttl > 0) {
+      const cached = this.cache.get(url);
+      if (cached && cached.expiresAt > Date.now()) {
+        this.cacheStats.hits++;
+        return cached.data;
+      }
+    }
+
+    // Share the pending fetch if the same URL is already being requested
+    if (this.inFlight.has(url)) {
+      this.cacheStats.coalesced++;
+      return await this.inFlight.get(url);
+    }
+
+    this.cacheStats.misses++;
+
+    const request = this.fetchJSON(url, type)
+      .then(data => {
+        if (ttl > 0) {
+          this.setCacheEntry(url, data, ttl);
+        }
+        return data;
+      })
+      .finally(() => {
+        this.inFlight.delete(url);
+      });
+
+    this.inFlight.set(url, request);
+    return await request;
+  }
+
+  /**
+   * Store a response in the cache, evicting stale and oldest entries when full
+   */
+  setCacheEntry(url, data, ttl) {
     const now = Date.now();
-    const timeSinceLastRequest = now - this.lastRequestTime;
 
-    if (timeSinceLastRequest < this.rateLimit) {
-      await new Promise(resolve => setTimeout(resolve, this.rateLimit - timeSinceLastRequest));
+    if (this.cache.size >= this.maxCacheEntries) {
+      for (const [key, entry] of this.cache.entries()) {
+        if (entry.expiresAt <= now) {
+          this.cache.delete(key);
+        }
+      }
+    }
+
+    // Maps keep insertion order, so the first key is the oldest entry
+    if (this.cache.size >= this.maxCacheEntries) {
+      this.cache.delete(this.cache.keys().next().value);
     }
 
-    this.lastRequestTime = Date.now();
+    this.cache.delete(url);
+    this.cache.set(url, { data, expiresAt: now + ttl });
+  }
 
+  /**
+   * Get cache hit/miss counters
+   */
+  getCacheStats() {
+    const { hits, misses, coalesced } = this.cacheStats;
+    const total = hits + misses + coalesced;
+    return {
+      hits,
+      misses,
+      coalesced,
+      entries: this.cache.size,
+      inFlight: this.inFlight.size,
+      hitRate: total > 0 ? (hits + coalesced) / total : 0
+    };
+  }
+
+  /**
+   * Clear cached responses and reset counters
+   */
+  clearCache() {
+    this.cache.clear();
+    this.cacheStats = { hits: 0, misses: 0, coalesced: 0 };
+  }
+
+  /**
+   * Retrying wrapper for API requests
+   * Retries timeouts, network failures, 429s and 5xx responses with jittered
+   * exponential backoff, and fails fast while the circuit breaker is open
+   * @param {string} url - Request URL
+   * @param {string} endpoint - Endpoint type, attached to any error thrown
+   */
+  async fetchJSON(url, endpoint = null) {
+    const trial = this.checkCircuit(url, endpoint);
+
+    let attempt = 0;
     try {
-      const response = await fetch(url);
-      if (!response.ok) {
-        throw new Error(`ESPN API returned status ${response.status}`);
+      while (true) {
+        try {
+          const data = await this.fetchOnce(url, endpoint);
+          this.recordSuccess();
+          return data;
+        } catch (error) {
+          const retryable = error instanceof RateLimitedError || error instanceof UpstreamUnavailableError;
+
+          // The half-open trial gets a single attempt to decide the circuit
+          if (retryable && !trial && attempt < this.maxRetries && this.circuit.state !== 'open') {
+            await this.sleep(this.getBackoffDelay(attempt, error.retryAfter));
+            attempt++;
+            continue;
+          }
+
+          if (retryable) {
+            this.recordFailure();
+          } else if (trial && error instanceof NotFoundError) {
+            // ESPN answered, it just has nothing at this URL
+            this.recordSuccess();
+          }
+
+          console.error(`ESPN API Error: ${error.message}`);
+          throw error;
+        }
+      }
+    } finally {
+      // Any other outcome of the trial (bad payload, unexpected status) reopens the circuit
+      if (trial && this.circuit.state === 'half-open') {
+        this.recordFailure();
       }
+    }
+  }
+
+  /**
+   * Rate limited single request, translating failures into typed errors
+   */
+  async fetchOnce(url, endpoint) {
+    // Claim the next slot before sleeping so concurrent callers queue up behind each other
+    const now = Date.now();
+    const at = Math.max(now, this.lastRequestTime + this.rateLimit);
+    this.lastRequestTime = at;
+    if (at > now) {
+      await this.sleep(at - now);
+    }
+
+    const details = { url, endpoint };
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), this.requestTimeout);
+
+    let response;
+    try {
+      response = await this.provider.fetch(url, { signal: controller.signal });
+    } catch (error) {
+      const reason = error.name === 'AbortError' ? `timed out after ${this.requestTimeout}ms` : error.message;
+      throw new UpstreamUnavailableError(`ESPN API request failed: ${reason}`, details);
+    } finally {
+      clearTimeout(timeout);
+    }
+
+    details.status = response.status;
+
+    if (response.status === 404) {
+      throw new NotFoundError('ESPN API returned status 404', details);
+    }
+    if (response.status === 429) {
+      const retryAfter = parseInt(response.headers.get('retry-after'), 10);
+      throw new RateLimitedError('ESPN API returned status 429', {
+        ...details,
+        retryAfter: Number.isNaN(retryAfter) ? null : retryAfter * 1000
+      });
+    }
+    if (response.status >= 500) {
+      throw new UpstreamUnavailableError(`ESPN API returned status ${response.status}`, details);
+    }
+    if (!response.ok) {
+      throw new ESPNError(`ESPN API returned status ${response.status}`, details);
+    }
+
+    try {
       return await response.json();
     } catch (error) {
-      console.error(`ESPN API Error: ${error.message}`);
-      throw error;
+      throw new BadPayloadError(`ESPN API returned invalid JSON: ${error.message}`, details);
+    }
+  }
+
+  /**
+   * Backoff delay for a retry attempt, honouring Retry-After when given
+   */
+  getBackoffDelay(attempt, retryAfter = null) {
+    if (retryAfter) {
+      return Math.min(retryAfter, this.maxBackoff);
     }
+    const base = Math.min(this.baseBackoff * 2 ** attempt, this.maxBackoff);
+    // Full jitter keeps concurrent retries from hitting ESPN in lockstep
+    return Math.floor(Math.random() * base);
+  }
+
+  /**
+   * Throw immediately if the circuit breaker is open
+   * After the cooldown one trial request is let through (half-open); everything
+   * else keeps failing fast until the trial closes or reopens the circuit
+   * @returns {boolean} Whether this request is the trial
+   */
+  checkCircuit(url, endpoint) {
+    if (this.circuit.state === 'closed') return false;
+
+    if (this.circuit.state === 'open' && !this.circuit.trialInFlight && Date.now() >= this.circuit.openedAt + this.circuitCooldown) {
+      this.circuit.state = 'half-open';
+      this.circuit.trialInFlight = true;
+      return true;
+    }
+
+    throw new UpstreamUnavailableError(`ESPN API circuit breaker is ${this.circuit.state}`, { url, endpoint });
+  }
+
+  /**
+   * Close the circuit after a successful request
+   */
+  recordSuccess() {
+    if (this.circuit.state !== 'closed') {
+      console.log('ESPN API recovered, closing circuit breaker');
+    }
+    this.circuit.state = 'closed';
+    this.circuit.failures = 0;
+    this.circuit.trialInFlight = false;
+  }
+
+  /**
+   * Count a request that failed once its retries ran out, opening the circuit past the threshold
+   */
+  recordFailure() {
+    this.circuit.failures++;
+
+    if (this.circuit.state === 'half-open' || this.circuit.failures >= this.circuitThreshold) {
+      if (this.circuit.state !== 'open') {
+        console.error(`ESPN API unavailable, opening circuit breaker for ${this.circuitCooldown / 1000}s`);
+      }
+      this.circuit.state = 'open';
+      this.circuit.openedAt = Date.now();
+      this.circuit.trialInFlight = false;
+    }
+  }
+
+  /**
+   * Get the circuit breaker state
+   */
+  getCircuitState() {
+    return { ...this.circuit };
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Run an async worker over items with a bounded number in flight, keeping order
+   */
+  async mapWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+    const run = async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await worker(items[index], index);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+    return results;
   }
 
   /**
@@ -42,13 +332,41 @@ class ESPNAPIService {
    * @param {string} sport - Sport type (football, basketball, baseball, hockey, soccer)
    * @param {string} league - League code (nfl, nba, mlb, nhl, etc.)
    * @param {string} date - Optional date in YYYYMMDD format
+   * @param {number} week - Optional week number for weekly leagues
    */
-  async getScoreboard(sport, league, date = null) {
-    let url = `${this.baseURL}/${sport}/${league}/scoreboard`;
-    if (date) {
-      url += `?dates=${date}`;
+  async getScoreboard(sport, league, date = null, week = null) {
+    const params = new URLSearchParams();
+    if (date) params.set('dates', date);
+    if (week) params.set('week', week);
+    const query = params.toString();
+
+    const url = `${this.baseURL}/${sport}/${league}/scoreboard${query ? `?${query}` : ''}`;
+    return await this.makeRequest(url, 'scoreboard');
+  }
+
+  /**
+   * Get the games starting on a calendar day in a timezone
+   * ESPN's days follow US Eastern time, so late West Coast games sit on the next
+   * ESPN day and early games elsewhere on the previous one; fetch all three.
+   * @param {string} date - Day in YYYYMMDD format
+   * @param {string} timezone - IANA timezone the day is in
+   */
+  async getScoreboardForDay(sport, league, date, timezone) {
+    const day = new Date(Date.UTC(Number(date.slice(0, 4)), Number(date.slice(4, 6)) - 1, Number(date.slice(6, 8))));
+    const days = [-1, 0, 1].map(offset => getDateKey(day, 'UTC', offset));
+    const scoreboards = await Promise.all(days.map(key => this.getScoreboard(sport, league, key)));
+
+    const events = new Map();
+    for (const scoreboard of scoreboards) {
+      for (const event of scoreboard.events || []) {
+        if (getDateKey(event.date, timezone) === date) events.set(event.id, event);
+      }
     }
-    return await this.makeRequest(url);
+
+    return {
+      ...scoreboards[1],
+      events: [...events.values()].sort((a, b) => new Date(a.date) - new Date(b.date))
+    };
   }
 
   /**
@@ -57,49 +375,174 @@ class ESPNAPIService {
    * @param {string} league - League code
    */
   async getTeams(sport, league) {
-    const url = `${this.baseURL}/${sport}/${league}/teams`;
-    return await this.makeRequest(url);
+    // College leagues have hundreds of teams, more than the default page
+    const url = `${this.baseURL}/${sport}/${league}/teams?limit=1000`;
+    return await this.makeRequest(url, 'teams');
   }
 
   /**
    * Get standings for a league
+   * Builds a conference -> division hierarchy from ESPN's standings endpoint,
+   * with each group's teams in the league's ranking order
    * @param {string} sport - Sport type
    * @param {string} league - League code
    */
   async getStandings(sport, league) {
-    // ESPN changed their API - need to fetch teams and build standings from team records
-    const teamsUrl = `${this.baseURL}/${sport}/${league}/teams`;
-    const teamsData = await this.makeRequest(teamsUrl);
-    
-    if (!teamsData.sports || !teamsData.sports[0].leagues || !teamsData.sports[0].leagues[0].teams) {
-      return { teams: [] };
-    }
-    
-    const teams = teamsData.sports[0].leagues[0].teams;
-    const teamsWithRecords = [];
-    
-    // Fetch record for each team (limit concurrent requests)
-    for (const teamEntry of teams) {
-      try {
-        const teamId = teamEntry.team.id;
-        const teamDetailUrl = `${this.baseURL}/${sport}/${league}/teams/${teamId}`;
-        const teamDetail = await this.makeRequest(teamDetailUrl);
-        
-        if (teamDetail.team && teamDetail.team.record) {
-          const totalRecord = teamDetail.team.record.items.find(r => r.type === 'total');
-          if (totalRecord) {
-            teamsWithRecords.push({
-              team: teamDetail.team,
-              record: totalRecord
-            });
-          }
+    const url = `${this.standingsURL}/${sport}/${league}/standings?level=3`;
+    const data = await this.makeRequest(url, 'standings');
+
+    // Hockey and soccer rank by points, everything else by win percentage
+    const rankBy = ['hockey', 'soccer'].includes(sport) ? 'points' : 'winPercent';
+
+    const parseGroup = (node) => ({
+      name: node.name,
+      abbreviation: node.abbreviation || node.name,
+      teams: this.sortStandingsTeams(this.parseStandingsEntries(node.standings?.entries), rankBy)
+    });
+
+    let conferences = [];
+    if (data.children && data.children.length > 0) {
+      conferences = data.children.map(conference => {
+        const divisions = (conference.children || []).map(parseGroup);
+        const group = parseGroup(conference);
+        if (divisions.length > 0 && group.teams.length === 0) {
+          group.teams = this.sortStandingsTeams(divisions.flatMap(d => d.teams), rankBy);
         }
-      } catch (error) {
-        console.error(`Error fetching team details: ${error.message}`);
+        return { ...group, divisions };
+      });
+    } else if (data.standings) {
+      conferences = [{ ...parseGroup(data), divisions: [] }];
+    }
+
+    return {
+      name: data.abbreviation || data.name || league.toUpperCase(),
+      rankBy,
+      conferences
+    };
+  }
+
+  /**
+   * Flatten ESPN standings entries into plain team rows
+   */
+  parseStandingsEntries(entries = []) {
+    return entries.map(entry => {
+      // Stats are matched on name or type since ESPN uses both inconsistently
+      const find = (...keys) => entry.stats?.find(s =>
+        keys.includes(s.name?.toLowerCase()) || keys.includes(s.type?.toLowerCase())
+      );
+      const value = (...keys) => find(...keys)?.value ?? null;
+      const display = (...keys) => {
+        const stat = find(...keys);
+        return stat?.summary || stat?.displayValue || null;
+      };
+
+      return {
+        team: entry.team,
+        wins: value('wins'),
+        losses: value('losses'),
+        ties: value('ties'),
+        otLosses: value('otlosses', 'overtimelosses'),
+        points: value('points'),
+        gamesPlayed: value('gamesplayed'),
+        winPercent: value('winpercent', 'leaguewinpercent'),
+        playoffSeed: value('playoffseed', 'rank'),
+        differential: value('pointdifferential', 'differential'),
+        streak: display('streak'),
+        home: display('home'),
+        away: display('road', 'away'),
+        lastTen: display('lasttengames', 'last ten games', 'lastten')
+      };
+    });
+  }
+
+  /**
+   * Sort team rows by the league's ranking, using ESPN's seed as the tiebreaker
+   */
+  sortStandingsTeams(teams, rankBy) {
+    const seed = team => team.playoffSeed ?? Infinity;
+
+    return [...teams].sort((a, b) => {
+      if (rankBy === 'points') {
+        if ((b.points ?? 0) !== (a.points ?? 0)) return (b.points ?? 0) - (a.points ?? 0);
+        // Fewer games played with the same points ranks higher
+        if ((a.gamesPlayed ?? 0) !== (b.gamesPlayed ?? 0)) return (a.gamesPlayed ?? 0) - (b.gamesPlayed ?? 0);
+        if ((b.wins ?? 0) !== (a.wins ?? 0)) return (b.wins ?? 0) - (a.wins ?? 0);
+        if ((b.differential ?? 0) !== (a.differential ?? 0)) return (b.differential ?? 0) - (a.differential ?? 0);
+      } else if ((b.winPercent ?? 0) !== (a.winPercent ?? 0)) {
+        return (b.winPercent ?? 0) - (a.winPercent ?? 0);
       }
+      return seed(a) - seed(b);
+    });
+  }
+
+  /**
+   * Split standings into display groups
+   * @param {object} standings - Result of getStandings
+   * @param {string} view - division, conference or league
+   * @returns {Array} [{ name, teams }] with gamesBack filled in per group
+   */
+  getStandingsGroups(standings, view = 'division') {
+    let groups;
+
+    if (view === 'league') {
+      const teams = standings.conferences.flatMap(c => c.teams);
+      groups = [{ name: standings.name, teams: this.sortStandingsTeams(teams, standings.rankBy) }];
+    } else if (view === 'conference') {
+      groups = standings.conferences;
+    } else {
+      // Leagues without divisions (e.g. MLS) fall back to conferences
+      groups = standings.conferences.flatMap(c => c.divisions.length > 0 ? c.divisions : [c]);
     }
-    
-    return { teams: teamsWithRecords };
+
+    return groups
+      .filter(group => group.teams.length > 0)
+      .map(group => {
+        const leader = group.teams[0];
+        const teams = group.teams.map(team => ({
+          ...team,
+          gamesBack: standings.rankBy === 'winPercent' && leader.wins !== null
+            ? ((leader.wins - team.wins) + (team.losses - leader.losses)) / 2
+            : null
+        }));
+        return { name: group.name, teams };
+      });
+  }
+
+  /**
+   * Format one standings group as fixed-width table rows
+   * @returns {Array<string>} Header line followed by one line per team
+   */
+  formatStandingsTable(group, rankBy) {
+    const pad = (value, width) => String(value ?? '-').padEnd(width);
+    const record = team => {
+      let text = `${team.wins ?? 0}-${team.losses ?? 0}`;
+      if (team.otLosses !== null) text += `-${team.otLosses}`;
+      else if (team.ties !== null && (rankBy === 'points' || team.ties > 0)) text += `-${team.ties}`;
+      return text;
+    };
+    const gamesBack = team => {
+      if (team.gamesBack === null) return null;
+      return team.gamesBack === 0 ? '-' : String(team.gamesBack);
+    };
+
+    const columns = [
+      { header: 'TEAM', width: 5, value: team => team.team.abbreviation },
+      { header: 'REC', width: 9, value: record },
+      rankBy === 'points'
+        ? { header: 'PTS', width: 4, value: team => team.points }
+        : { header: 'PCT', width: 5, value: team => team.winPercent?.toFixed(3).replace(/^0/, '') },
+      rankBy === 'points'
+        ? { header: 'GP', width: 4, value: team => team.gamesPlayed }
+        : { header: 'GB', width: 5, value: gamesBack },
+      { header: 'STRK', width: 5, value: team => team.streak },
+      { header: 'HOME', width: 8, value: team => team.home },
+      { header: 'AWAY', width: 8, value: team => team.away },
+      { header: 'L10', width: 6, value: team => team.lastTen }
+    ].filter(column => group.teams.some(team => column.value(team) !== null && column.value(team) !== undefined));
+
+    const header = columns.map(c => pad(c.header, c.width)).join('').trimEnd();
+    const rows = group.teams.map(team => columns.map(c => pad(c.value(team), c.width)).join('').trimEnd());
+    return [header, ...rows];
   }
 
   /**
@@ -110,27 +553,27 @@ class ESPNAPIService {
    */
   async getTeamDetails(sport, league, teamId) {
     const url = `${this.baseURL}/${sport}/${league}/teams/${teamId}`;
-    return await this.makeRequest(url);
+    return await this.makeRequest(url, 'team');
   }
 
   /**
-   * Get betting odds for games
+   * Get betting odds for every game on a scoreboard
    * @param {string} sport - Sport type
    * @param {string} league - League code
+   * @param {object} options - date: YYYYMMDD, week: week number for weekly leagues (default: current slate)
    */
-  async getOdds(sport, league) {
-    // Get upcoming games from scoreboard
-    const scoreboardUrl = `${this.baseURL}/${sport}/${league}/scoreboard`;
-    const scoreboard = await this.makeRequest(scoreboardUrl);
+  async getOdds(sport, league, { date = null, week = null } = {}) {
+    // Get the slate's games from the scoreboard
+    const scoreboard = await this.getScoreboard(sport, league, date, week);
     
     if (!scoreboard.events || scoreboard.events.length === 0) {
       return { events: [] };
     }
     
-    const eventsWithOdds = [];
+    let lastError = null;
     
-    // Fetch odds for each event (limit to first 5 games)
-    for (const event of scoreboard.events.slice(0, 5)) {
+    // One odds request per game, a few at a time
+    const results = await this.mapWithConcurrency(scoreboard.events, this.maxParallelRequests, async event => {
       try {
         const eventId = event.id;
         const competition = event.competitions[0];
@@ -138,22 +581,31 @@ class ESPNAPIService {
         
         // Get odds for this specific game
         const oddsUrl = `${this.coreURL}/${sport}/leagues/${league}/events/${eventId}/competitions/${competitionId}/odds`;
-        const oddsData = await this.makeRequest(oddsUrl);
+        const oddsData = await this.makeRequest(oddsUrl, 'odds');
         
         // Attach team info and odds to event
         const homeTeam = competition.competitors.find(t => t.homeAway === 'home');
         const awayTeam = competition.competitors.find(t => t.homeAway === 'away');
         
-        eventsWithOdds.push({
+        return {
+          id: eventId,
           name: event.name,
           date: event.date,
           homeTeam: homeTeam?.team,
           awayTeam: awayTeam?.team,
           odds: oddsData.items && oddsData.items.length > 0 ? oddsData.items[0] : null
-        });
+        };
       } catch (error) {
         console.error(`Error fetching odds for event ${event.id}: ${error.message}`);
+        lastError = error;
+        return null;
       }
+    });
+    const eventsWithOdds = results.filter(Boolean);
+
+    // Surface the failure if no game had odds at all
+    if (eventsWithOdds.length === 0 && lastError) {
+      throw lastError;
     }
     
     return { events: eventsWithOdds };
@@ -166,7 +618,7 @@ class ESPNAPIService {
    */
   async getNews(sport, league) {
     const url = `${this.baseURL}/${sport}/${league}/news`;
-    return await this.makeRequest(url);
+    return await this.makeRequest(url, 'news');
   }
 
   /**
@@ -176,7 +628,7 @@ class ESPNAPIService {
    */
   async getLeaders(sport, league) {
     const url = `${this.baseURL.replace('/v2/', '/v3/')}/${sport}/${league}/leaders`;
-    return await this.makeRequest(url);
+    return await this.makeRequest(url, 'leaders');
   }
 
   /**
@@ -186,7 +638,7 @@ class ESPNAPIService {
    */
   async getRankings(sport, league) {
     const url = `${this.baseURL}/${sport}/${league}/rankings`;
-    return await this.makeRequest(url);
+    return await this.makeRequest(url, 'rankings');
   }
 
   /**
@@ -197,7 +649,7 @@ class ESPNAPIService {
    */
   async getTeamSchedule(sport, league, teamId) {
     const url = `${this.baseURL}/${sport}/${league}/teams/${teamId}/schedule`;
-    return await this.makeRequest(url);
+    return await this.makeRequest(url, 'schedule');
   }
 
   /**
@@ -208,7 +660,53 @@ class ESPNAPIService {
    */
   async getGameSummary(sport, league, eventId) {
     const url = `${this.baseURL}/${sport}/${league}/summary?event=${eventId}`;
-    return await this.makeRequest(url);
+    return await this.makeRequest(url, 'summary');
+  }
+
+  /**
+   * Search a league's players by name
+   * @param {string} sport - Sport type
+   * @param {string} league - League code
+   * @param {string} query - Part of the player's name
+   * @returns {Promise<Array>} [{ id, displayName, ... }]
+   */
+  async searchPlayers(sport, league, query) {
+    const params = new URLSearchParams({ query, type: 'player', sport, league, limit: '25' });
+    const data = await this.makeRequest(`${this.commonURL}/search?${params}`, 'search');
+    return (data.items || []).filter(item => !item.type || item.type === 'player');
+  }
+
+  /**
+   * Get a player's bio (team, position, headshot, ...)
+   * @param {string} sport - Sport type
+   * @param {string} league - League code
+   * @param {string} athleteId - Athlete ID
+   */
+  async getAthlete(sport, league, athleteId) {
+    const url = `${this.commonURL}/sports/${sport}/${league}/athletes/${athleteId}`;
+    return await this.makeRequest(url, 'athlete');
+  }
+
+  /**
+   * Get a player's overview, including season and career stat lines
+   * @param {string} sport - Sport type
+   * @param {string} league - League code
+   * @param {string} athleteId - Athlete ID
+   */
+  async getAthleteOverview(sport, league, athleteId) {
+    const url = `${this.commonURL}/sports/${sport}/${league}/athletes/${athleteId}/overview`;
+    return await this.makeRequest(url, 'athleteStats');
+  }
+
+  /**
+   * Get a player's game log for the current season
+   * @param {string} sport - Sport type
+   * @param {string} league - League code
+   * @param {string} athleteId - Athlete ID
+   */
+  async getAthleteGameLog(sport, league, athleteId) {
+    const url = `${this.commonURL}/sports/${sport}/${league}/athletes/${athleteId}/gamelog`;
+    return await this.makeRequest(url, 'athleteStats');
   }
 
   /**
@@ -240,61 +738,19 @@ class ESPNAPIService {
 
   /**
    * Format standings data
+   * @param {object} data - Result of getStandings
+   * @param {string} view - division, conference or league
    */
-  formatStandings(data) {
-    if (!data.teams || data.teams.length === 0) {
+  formatStandings(data, view = 'division') {
+    const groups = data.conferences ? this.getStandingsGroups(data, view) : [];
+    if (groups.length === 0) {
       return 'No standings data available.';
     }
 
-    // Group teams by division
-    const divisions = {};
-    for (const teamData of data.teams) {
-      // Extract division from standingSummary (e.g., "4th in NFC West" -> "NFC West")
-      let divisionName = 'Unknown Division';
-      if (teamData.team.standingSummary) {
-        const match = teamData.team.standingSummary.match(/in (.+)$/);
-        if (match) {
-          divisionName = match[1];
-        }
-      }
-      
-      if (!divisions[divisionName]) {
-        divisions[divisionName] = [];
-      }
-      divisions[divisionName].push(teamData);
-    }
-
     let message = '';
-
-    // Sort divisions by conference (AFC first, then NFC) and then alphabetically
-    const sortedDivisions = Object.entries(divisions).sort((a, b) => {
-      const [divA] = a;
-      const [divB] = b;
-      
-      // Extract conference (AFC/NFC)
-      const confA = divA.split(' ')[0];
-      const confB = divB.split(' ')[0];
-      
-      // Sort by conference first
-      if (confA !== confB) {
-        return confA.localeCompare(confB);
-      }
-      // Then sort alphabetically within conference
-      return divA.localeCompare(divB);
-    });
-
-    // Display each division
-    for (const [divisionName, teams] of sortedDivisions) {
-      message += `**${divisionName}**\n`;
-      
-      // Sort teams by wins (descending)
-      const wins = (team) => team.record.stats.find(s => s.name === 'wins')?.value || 0;
-      teams.sort((a, b) => wins(b) - wins(a));
-      
-      for (const teamData of teams) {
-        message += `${teamData.team.displayName}: ${teamData.record.summary}\n`;
-      }
-      message += '\n';
+    for (const group of groups) {
+      message += `**${group.name}**\n`;
+      message += '```\n' + this.formatStandingsTable(group, data.rankBy).join('\n') + '\n```\n';
     }
 
     return message;
@@ -302,8 +758,9 @@ class ESPNAPIService {
 
   /**
    * Format odds data
+   * @param {string} format - Moneyline format: 'american', 'decimal' or 'fractional'
    */
-  formatOdds(data) {
+  formatOdds(data, format = 'american') {
     if (!data.events || data.events.length === 0) {
       return 'No betting odds available at this time.';
     }
@@ -322,10 +779,10 @@ class ESPNAPIService {
         message += `Over/Under: ${event.odds.overUnder || 'N/A'}\n`;
         
         if (event.odds.awayTeamOdds?.moneyLine) {
-          message += `Money Line: ${event.awayTeam.abbreviation} ${event.odds.awayTeamOdds.moneyLine > 0 ? '+' : ''}${event.odds.awayTeamOdds.moneyLine}`;
+          message += `Money Line: ${event.awayTeam.abbreviation} ${formatPrice(event.odds.awayTeamOdds.moneyLine, format)}`;
         }
         if (event.odds.homeTeamOdds?.moneyLine) {
-          message += ` / ${event.homeTeam.abbreviation} ${event.odds.homeTeamOdds.moneyLine > 0 ? '+' : ''}${event.odds.homeTeamOdds.moneyLine}`;
+          message += ` / ${event.homeTeam.abbreviation} ${formatPrice(event.odds.homeTeamOdds.moneyLine, format)}`;
         }
         message += '\n';
       } else {
@@ -0,0 +1,133 @@
+import crypto from 'crypto';
+import stateStore from './stateStore.js';
+
+// setTimeout can't wait longer than ~24.8 days
+const MAX_TIMEOUT = 2147483647;
+
+/**
+ * Job Scheduler
+ * Persistent delayed jobs (channel deletion, thread archival, ...) that are
+ * resumed after a restart, with overdue jobs run as soon as the bot is ready
+ */
+class JobScheduler {
+  constructor() {
+    this.handlers = new Map(); // type -> async (job) => {}
+    this.timers = new Map(); // jobId -> timeout
+    this.started = false;
+  }
+
+  /**
+   * Register the function that runs jobs of a type
+   */
+  register(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Persisted jobs: [{ id, type, runAt, data }]
+   */
+  getJobs() {
+    return stateStore.get('jobs', []);
+  }
+
+  /**
+   * Schedule a job
+   * @param {string} type - Registered job type
+   * @param {number} delay - Milliseconds from now
+   * @param {object} data - Passed to the handler as job.data
+   * @returns {string} Job id
+   */
+  schedule(type, delay, data = {}) {
+    const job = { id: crypto.randomUUID(), type, runAt: Date.now() + delay, data };
+    stateStore.update('jobs', jobs => [...jobs, job], []);
+
+    if (this.started) {
+      this.arm(job);
+    }
+    return job.id;
+  }
+
+  /**
+   * Cancel a pending job
+   */
+  cancel(jobId) {
+    if (!jobId) return;
+
+    clearTimeout(this.timers.get(jobId));
+    this.timers.delete(jobId);
+    stateStore.update('jobs', jobs => jobs.filter(j => j.id !== jobId), []);
+  }
+
+  /**
+   * Cancel every pending job matching a predicate
+   */
+  cancelWhere(predicate) {
+    for (const job of this.getJobs().filter(predicate)) {
+      this.cancel(job.id);
+    }
+  }
+
+  /**
+   * Arm timers for all persisted jobs; overdue jobs run immediately
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    const now = Date.now();
+    const overdue = this.getJobs().filter(j => j.runAt <= now).length;
+    if (overdue > 0) {
+      console.log(`Running ${overdue} overdue job(s)`);
+    }
+
+    for (const job of this.getJobs()) {
+      this.arm(job);
+    }
+  }
+
+  /**
+   * Clear all timers (jobs stay persisted)
+   */
+  stop() {
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+    this.started = false;
+  }
+
+  arm(job) {
+    if (this.timers.has(job.id)) return;
+
+    const delay = Math.max(0, job.runAt - Date.now());
+    const timer = setTimeout(() => {
+      this.timers.delete(job.id);
+      // Very long delays are re-armed in steps
+      if (job.runAt > Date.now()) {
+        this.arm(job);
+      } else {
+        this.run(job);
+      }
+    }, Math.min(delay, MAX_TIMEOUT));
+
+    this.timers.set(job.id, timer);
+  }
+
+  async run(job) {
+    const handler = this.handlers.get(job.type);
+
+    try {
+      if (handler) {
+        await handler(job);
+      } else {
+        console.error(`No handler registered for job type ${job.type}`);
+      }
+    } catch (error) {
+      console.error(`Error running ${job.type} job ${job.id}:`, error);
+    } finally {
+      stateStore.update('jobs', jobs => jobs.filter(j => j.id !== job.id), []);
+    }
+  }
+}
+
+export default new JobScheduler();
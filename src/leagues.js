@@ -0,0 +1,155 @@
+/**
+ * League Registry
+ * Single description of every league the bot supports. Slash command choices,
+ * score center coverage and the help text are all generated from this list,
+ * so adding a league is a one-entry change.
+ *
+ * Capabilities (what ESPN supports for the league):
+ * - scores, standings, odds, teams, news, leaders, rankings: matching slash commands
+ * - scoreCenter: mirrored by the score center unless a guild picks its own leagues
+ *
+ * Season shape:
+ * - schedule: 'weekly' (games grouped by week) or 'daily'
+ * - weeks: regular season weeks, for weekly leagues
+ * - periods: what a game is divided into, e.g. { name: 'Quarter', count: 4 }
+ */
+const LEAGUES = [
+  {
+    key: 'nfl',
+    name: 'NFL',
+    fullName: 'National Football League',
+    sport: 'football',
+    league: 'nfl',
+    emoji: '🏈',
+    capabilities: ['scores', 'standings', 'odds', 'teams', 'news', 'leaders', 'scoreCenter'],
+    schedule: 'weekly',
+    weeks: 18,
+    periods: { name: 'Quarter', count: 4 }
+  },
+  {
+    key: 'nba',
+    name: 'NBA',
+    fullName: 'National Basketball Association',
+    sport: 'basketball',
+    league: 'nba',
+    emoji: '🏀',
+    capabilities: ['scores', 'standings', 'odds', 'teams', 'news', 'leaders', 'scoreCenter'],
+    schedule: 'daily',
+    periods: { name: 'Quarter', count: 4 }
+  },
+  {
+    key: 'mlb',
+    name: 'MLB',
+    fullName: 'Major League Baseball',
+    sport: 'baseball',
+    league: 'mlb',
+    emoji: '⚾',
+    capabilities: ['scores', 'standings', 'odds', 'teams', 'news', 'leaders', 'scoreCenter'],
+    schedule: 'daily',
+    periods: { name: 'Inning', count: 9 }
+  },
+  {
+    key: 'nhl',
+    name: 'NHL',
+    fullName: 'National Hockey League',
+    sport: 'hockey',
+    league: 'nhl',
+    emoji: '🏒',
+    capabilities: ['scores', 'standings', 'odds', 'teams', 'news', 'leaders', 'scoreCenter'],
+    schedule: 'daily',
+    periods: { name: 'Period', count: 3 }
+  },
+  {
+    key: 'college-football',
+    name: 'College Football',
+    fullName: 'NCAA Football',
+    sport: 'football',
+    league: 'college-football',
+    emoji: '🏈',
+    capabilities: ['scores', 'standings', 'odds', 'teams', 'news', 'rankings'],
+    schedule: 'weekly',
+    weeks: 16,
+    periods: { name: 'Quarter', count: 4 }
+  },
+  {
+    key: 'mens-college-basketball',
+    name: 'College Basketball',
+    fullName: "NCAA Men's Basketball",
+    sport: 'basketball',
+    league: 'mens-college-basketball',
+    emoji: '🏀',
+    capabilities: ['scores', 'odds', 'teams', 'news', 'rankings'],
+    schedule: 'daily',
+    periods: { name: 'Half', count: 2 }
+  },
+  {
+    key: 'mls',
+    name: 'MLS',
+    fullName: 'Major League Soccer',
+    sport: 'soccer',
+    league: 'usa.1',
+    emoji: '⚽',
+    capabilities: ['scores', 'standings', 'teams', 'news'],
+    schedule: 'daily',
+    periods: { name: 'Half', count: 2 }
+  },
+  {
+    key: 'wnba',
+    name: 'WNBA',
+    fullName: "Women's National Basketball Association",
+    sport: 'basketball',
+    league: 'wnba',
+    emoji: '🏀',
+    capabilities: ['scores', 'standings', 'teams', 'news'],
+    schedule: 'daily',
+    periods: { name: 'Quarter', count: 4 }
+  }
+];
+
+class LeagueRegistry {
+  constructor(leagues) {
+    this.leagues = leagues;
+  }
+
+  /**
+   * Get all leagues, optionally only those with a capability
+   * @param {string} capability - e.g. 'odds' or 'scoreCenter'
+   */
+  getLeagues(capability = null) {
+    if (!capability) return [...this.leagues];
+    return this.leagues.filter(l => l.capabilities.includes(capability));
+  }
+
+  /**
+   * Find a league by key ('nfl'), slash command value ('football/nfl') or name ('College Football')
+   */
+  getLeague(id) {
+    const search = String(id).trim().toLowerCase();
+    return this.leagues.find(l =>
+      l.key === search || this.getValue(l) === search || l.name.toLowerCase() === search
+    ) || null;
+  }
+
+  /**
+   * Slash command option value for a league
+   */
+  getValue(league) {
+    return `${league.sport}/${league.league}`;
+  }
+
+  /**
+   * Slash command choices for every league with a capability
+   */
+  getChoices(capability) {
+    return this.getLeagues(capability).map(l => ({ name: l.name, value: this.getValue(l) }));
+  }
+
+  /**
+   * Comma separated league names for help text
+   */
+  describe(capability) {
+    return this.getLeagues(capability).map(l => l.name).join(', ');
+  }
+}
+
+export default new LeagueRegistry(LEAGUES);
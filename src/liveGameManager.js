@@ -1,15 +1,82 @@
 import WebSocket from 'ws';
-import fetch from 'node-fetch';
 import { EmbedBuilder } from 'discord.js';
+import dataProvider from './dataProvider.js';
+import stateStore from './stateStore.js';
+import jobScheduler from './jobScheduler.js';
+import espnAPI from './espnAPI.js';
+import leagueRegistry from './leagues.js';
 
 /**
- * Live Game Manager for MLB
- * Manages websocket connections and thread updates for live games
+ * Live Game Manager
+ * Manages live update threads: MLB games follow the StatsAPI websocket,
+ * every other league polls ESPN's play-by-play
  */
 class LiveGameManager {
   constructor() {
-    this.activeGames = new Map(); // gameId -> { ws, thread, interval, gameData }
+    this.activeGames = new Map(); // gameId -> { source, sport, league, ws, thread, pollInterval, gameData, tracker }
     this.mlbBaseURL = 'https://statsapi.mlb.com/api/v1.1/game';
+    this.provider = dataProvider;
+    this.client = null;
+
+    jobScheduler.register('archiveThread', job => this.archiveThread(job.data.threadId));
+  }
+
+  /**
+   * Resume tracking games after a restart
+   * Threads deleted while the bot was offline are forgotten; games that ended
+   * in the meantime get their final post and scheduled archival
+   */
+  async restore(client) {
+    this.client = client;
+
+    const saved = stateStore.get('liveGames');
+    for (const [gameId, gameInfo] of Object.entries(saved)) {
+      let thread = null;
+      try {
+        thread = await client.channels.fetch(gameInfo.threadId);
+      } catch (error) {
+        console.error(`Could not fetch thread for game ${gameId}:`, error.message);
+      }
+
+      if (!thread) {
+        this.forgetGame(gameId);
+        continue;
+      }
+
+      console.log(`Resuming live thread for game ${gameId}`);
+      const result = await this.startTracking(gameId, thread, gameInfo.channelId, {
+        sport: gameInfo.sport,
+        league: gameInfo.league,
+        resume: true
+      });
+      if (!result.success) {
+        this.forgetGame(gameId);
+        continue;
+      }
+
+      const current = this.activeGames.get(gameId);
+      if (current && this.isTrackedGameOver(current)) {
+        await this.handleGameEnd(gameId, thread);
+      }
+    }
+  }
+
+  /**
+   * Persist a tracked game so it can be resumed after a restart
+   */
+  rememberGame(gameId, { threadId, channelId, startTime, sport, league }) {
+    stateStore.update('liveGames', games => {
+      games[gameId] = { threadId, channelId, startTime, sport, league };
+    });
+  }
+
+  /**
+   * Remove a game from persisted state
+   */
+  forgetGame(gameId) {
+    stateStore.update('liveGames', games => {
+      delete games[gameId];
+    });
   }
 
   /**
@@ -21,7 +88,7 @@ class LiveGameManager {
       if (timestamp) {
         url += `?timecode=${timestamp}`;
       }
-      const response = await fetch(url);
+      const response = await this.provider.fetch(url);
       return await response.json();
     } catch (error) {
       console.error(`Error fetching MLB game ${gameId}:`, error);
@@ -31,82 +98,100 @@ class LiveGameManager {
 
   /**
    * Start tracking a live game
+   * @param {string} gameId - ESPN event ID (MLB StatsAPI gamePk for MLB)
+   * @param {ThreadChannel} thread - Thread to post updates in
+   * @param {string} channelId - Parent channel ID
+   * @param {object} options - { sport, league, resume }; defaults to MLB
    */
-  async startTracking(gameId, thread, channelId) {
+  async startTracking(gameId, thread, channelId, { sport = 'baseball', league = 'mlb', resume = false } = {}) {
     if (this.activeGames.has(gameId)) {
       return { success: false, message: 'Game is already being tracked!' };
     }
 
-    try {
-      // Fetch initial game data
-      const initialData = await this.fetchMLBGame(gameId);
-      if (!initialData) {
-        return { success: false, message: 'Failed to fetch game data.' };
-      }
+    this.client = this.client || thread.client;
 
-      // Connect to websocket
-      const wsUrl = `wss://ws.statsapi.mlb.com/api/v1/game/push/subscribe/gameday/${gameId}`;
-      const ws = new WebSocket(wsUrl);
+    if (sport === 'baseball' && league === 'mlb') {
+      return await this.startMLBTracking(gameId, thread, channelId, { resume });
+    }
+    return await this.startESPNTracking(gameId, thread, channelId, { sport, league, resume });
+  }
 
-      let lastTimestamp = null;
-      let keepAliveInterval = null;
+  /**
+   * Open a thread for a game in a channel and start live updates in it
+   * @param {TextChannel} channel - Channel to create the thread in
+   * @param {string} gameId - ESPN event ID
+   * @param {object} leagueInfo - League from the registry
+   * @returns {Promise<object>} { success, message, thread }
+   */
+  async startThread(channel, gameId, leagueInfo) {
+    if (this.activeGames.has(gameId)) {
+      return { success: false, message: 'Game is already being tracked!' };
+    }
 
-      ws.on('open', () => {
-        console.log(`Connected to MLB game ${gameId}`);
-        
-        // Send keepalive message every 60 seconds
-        keepAliveInterval = setInterval(() => {
-          if (ws.readyState === WebSocket.OPEN) {
-            ws.send('Gameday5');
-          }
-        }, 60000);
+    // Name the thread after the matchup when the scoreboard has it
+    let threadName = `${leagueInfo.emoji} Live Game ${gameId}`;
+    try {
+      const scoreboardData = await espnAPI.getScoreboard(leagueInfo.sport, leagueInfo.league);
+      const game = scoreboardData.events?.find(event => event.id === gameId);
+      if (game) {
+        threadName = `${leagueInfo.emoji} ${game.shortName || game.name}`;
+      }
+    } catch (error) {
+      console.error('Error fetching scoreboard for thread name:', error.message);
+    }
 
-        // Send initial message
-        ws.send('Gameday5');
-      });
+    const thread = await channel.threads.create({
+      name: threadName,
+      autoArchiveDuration: 1440, // 24 hours
+      reason: `Live ${leagueInfo.name} game updates`
+    });
 
-      ws.on('message', async (data) => {
-        try {
-          const update = JSON.parse(data.toString());
-          
-          if (update.timeStamp && update.timeStamp !== lastTimestamp) {
-            lastTimestamp = update.timeStamp;
-            
-            // Fetch updated game data
-            const gameData = await this.fetchMLBGame(gameId, lastTimestamp);
-            if (gameData) {
-              await this.updateThread(thread, gameData, update);
-            }
-          }
-        } catch (error) {
-          console.error(`Error processing update for game ${gameId}:`, error);
-        }
-      });
+    const result = await this.startTracking(gameId, thread, channel.id, { sport: leagueInfo.sport, league: leagueInfo.league });
+    if (!result.success) {
+      await thread.delete();
+      return result;
+    }
+    return { ...result, thread };
+  }
 
-      ws.on('error', (error) => {
-        console.error(`WebSocket error for game ${gameId}:`, error);
-      });
+  /**
+   * Track an MLB game through the StatsAPI push feed
+   */
+  async startMLBTracking(gameId, thread, channelId, { resume }) {
+    try {
+      // Fetch initial game data
+      const initialData = await this.fetchMLBGame(gameId);
+      if (!initialData) {
+        return { success: false, message: 'Failed to fetch game data.' };
+      }
 
-      ws.on('close', () => {
-        console.log(`WebSocket closed for game ${gameId}`);
-        if (keepAliveInterval) clearInterval(keepAliveInterval);
-        this.stopTracking(gameId);
-      });
+      // Recorded games have no push feed, so poll the replayed feed instead
+      const { ws, keepAliveInterval, pollInterval } = this.provider.mode === 'replay'
+        ? this.pollReplayFeed(gameId, thread)
+        : this.connectWebSocket(gameId, thread);
 
       // Store game tracking info
+      const startTime = Date.now();
       this.activeGames.set(gameId, {
+        source: 'mlb',
+        sport: 'baseball',
+        league: 'mlb',
         ws,
         thread,
         channelId,
         keepAliveInterval,
+        pollInterval,
         gameData: initialData,
-        startTime: Date.now()
+        startTime
       });
+      this.rememberGame(gameId, { threadId: thread.id, channelId, startTime, sport: 'baseball', league: 'mlb' });
 
-      // Post initial game info to thread
-      await this.postInitialGameInfo(thread, initialData);
+      // Post initial game info to thread (already posted when resuming)
+      if (!resume) {
+        await this.postInitialGameInfo(thread, initialData);
+      }
 
-      // Check game status periodically
+      // Check game status periodically (more often when replaying at speed)
       const statusCheckInterval = setInterval(async () => {
         const gameInfo = this.activeGames.get(gameId);
         if (gameInfo) {
@@ -118,7 +203,7 @@ class LiveGameManager {
         } else {
           clearInterval(statusCheckInterval);
         }
-      }, 300000); // Check every 5 minutes
+      }, this.provider.mode === 'replay' ? 30000 : 300000); // Check every 5 minutes
 
       return { success: true, message: 'Started tracking game!' };
     } catch (error) {
@@ -127,6 +212,334 @@ class LiveGameManager {
     }
   }
 
+  /**
+   * Track a game by polling ESPN's game summary for new plays
+   */
+  async startESPNTracking(gameId, thread, channelId, { sport, league, resume }) {
+    try {
+      const summary = await espnAPI.getGameSummary(sport, league, gameId);
+      const status = summary.header?.competitions?.[0]?.status;
+      if (!status) {
+        return { success: false, message: 'Failed to fetch game data.' };
+      }
+
+      // Everything that already happened counts as seen; only new plays get posted
+      const tracker = {
+        seen: new Set(this.extractPlayEvents(summary, sport, league).map(event => event.id)),
+        period: status.period || 0,
+        halftime: status.type?.name === 'STATUS_HALFTIME'
+      };
+
+      const startTime = Date.now();
+      const gameInfo = {
+        source: 'espn',
+        sport,
+        league,
+        ws: null,
+        thread,
+        channelId,
+        keepAliveInterval: null,
+        pollInterval: null,
+        gameData: summary,
+        tracker,
+        startTime
+      };
+      this.activeGames.set(gameId, gameInfo);
+      this.rememberGame(gameId, { threadId: thread.id, channelId, startTime, sport, league });
+
+      if (!resume) {
+        await this.postESPNGameInfo(thread, summary, sport, league);
+      }
+
+      // Poll faster when replaying recorded games at speed
+      gameInfo.pollInterval = setInterval(async () => {
+        await this.pollESPNGame(gameId);
+      }, this.provider.mode === 'replay' ? 5000 : 20000);
+
+      return { success: true, message: 'Started tracking game!' };
+    } catch (error) {
+      console.error(`Error starting game tracking for ${gameId}:`, error);
+      return { success: false, message: 'Failed to start tracking.' };
+    }
+  }
+
+  /**
+   * Post the opening embed for an ESPN-tracked game
+   */
+  async postESPNGameInfo(thread, summary, sport, league) {
+    try {
+      const competition = summary.header.competitions[0];
+      const homeTeam = competition.competitors.find(t => t.homeAway === 'home');
+      const awayTeam = competition.competitors.find(t => t.homeAway === 'away');
+      const leagueInfo = leagueRegistry.getLeague(`${sport}/${league}`);
+      const venue = summary.gameInfo?.venue?.fullName;
+
+      const embed = new EmbedBuilder()
+        .setColor('#0099ff')
+        .setTitle(`${awayTeam.team.displayName} @ ${homeTeam.team.displayName}`)
+        .setDescription([venue && `**${venue}**`, competition.status.type.detail].filter(Boolean).join(' • '))
+        .addFields(
+          {
+            name: awayTeam.team.displayName,
+            value: `Record: ${awayTeam.record?.[0]?.summary || 'N/A'}\nScore: ${awayTeam.score || 0}`,
+            inline: true
+          },
+          {
+            name: homeTeam.team.displayName,
+            value: `Record: ${homeTeam.record?.[0]?.summary || 'N/A'}\nScore: ${homeTeam.score || 0}`,
+            inline: true
+          }
+        )
+        .setFooter({ text: `${leagueInfo?.name || league.toUpperCase()} Live Game Updates` })
+        .setTimestamp();
+
+      await thread.send({ embeds: [embed] });
+      await thread.send('🎮 **Live updates will appear here...**');
+    } catch (error) {
+      console.error('Error posting initial game info:', error);
+    }
+  }
+
+  /**
+   * Fetch the latest summary for an ESPN-tracked game and post anything new
+   */
+  async pollESPNGame(gameId) {
+    const gameInfo = this.activeGames.get(gameId);
+    if (!gameInfo || gameInfo.polling) return;
+    gameInfo.polling = true;
+
+    try {
+      const { sport, league, thread, tracker } = gameInfo;
+      const summary = await espnAPI.getGameSummary(sport, league, gameId);
+      const status = summary.header?.competitions?.[0]?.status;
+      if (!status) return;
+      gameInfo.gameData = summary;
+
+      const lines = [];
+      for (const event of this.extractPlayEvents(summary, sport, league)) {
+        if (!tracker.seen.has(event.id)) {
+          tracker.seen.add(event.id);
+          lines.push(event.text);
+        }
+      }
+
+      // Period changes and halftime
+      const periodName = leagueRegistry.getLeague(`${sport}/${league}`)?.periods.name || 'Period';
+      if (status.period > tracker.period && tracker.period > 0 && status.type.state === 'in') {
+        lines.push(`⏱️ **End of ${periodName} ${tracker.period}** | ${this.getESPNScoreLine(summary)}`);
+      }
+      tracker.period = Math.max(tracker.period, status.period || 0);
+
+      const halftime = status.type.name === 'STATUS_HALFTIME';
+      if (halftime && !tracker.halftime) {
+        lines.push(`⏸️ **Halftime** | ${this.getESPNScoreLine(summary)}`);
+      }
+      tracker.halftime = halftime;
+
+      // One message per poll keeps busy games under Discord's message rate limit
+      for (const message of this.chunkLines(lines, 2000)) {
+        await thread.send(message);
+      }
+
+      if (this.isTrackedGameOver(gameInfo)) {
+        await this.handleGameEnd(gameId, thread);
+      }
+    } catch (error) {
+      console.error(`Error polling game ${gameId}:`, error);
+    } finally {
+      gameInfo.polling = false;
+    }
+  }
+
+  /**
+   * Pull postable events out of an ESPN game summary
+   * Football: scoring plays, penalties and completed drives.
+   * Other sports: scoring plays, penalties and cards.
+   * @returns {Array} [{ id, text }] in game order
+   */
+  extractPlayEvents(summary, sport, league) {
+    const competition = summary.header?.competitions?.[0];
+    const home = competition?.competitors?.find(t => t.homeAway === 'home');
+    const away = competition?.competitors?.find(t => t.homeAway === 'away');
+    const teamsById = { [home?.team?.id]: home?.team?.abbreviation, [away?.team?.id]: away?.team?.abbreviation };
+    const periodName = leagueRegistry.getLeague(`${sport}/${league}`)?.periods.name || 'Period';
+
+    const when = play => {
+      const period = play.period?.number ? `${periodName[0]}${play.period.number}` : '';
+      return [period, play.clock?.displayValue].filter(Boolean).join(' ');
+    };
+    const score = play => play.awayScore !== undefined && play.homeScore !== undefined
+      ? ` | ${away?.team?.abbreviation} ${play.awayScore} - ${play.homeScore} ${home?.team?.abbreviation}`
+      : '';
+    const describe = (emoji, label, play) => {
+      const team = play.team?.abbreviation || teamsById[play.team?.id];
+      const prefix = [when(play), team].filter(Boolean).join(' ');
+      return `${emoji} **${label}**${prefix ? ` (${prefix})` : ''}\n${play.text || ''}${score(play)}`;
+    };
+    const isPenalty = play => /penalty/i.test(play.type?.text || '') || /\bPENALTY\b/.test(play.text || '');
+
+    const events = [];
+
+    if (sport === 'football') {
+      const drives = [...(summary.drives?.previous || [])];
+      if (summary.drives?.current) drives.push(summary.drives.current);
+
+      for (const drive of drives) {
+        for (const play of drive.plays || []) {
+          if (play.scoringPlay) {
+            events.push({ id: `play-${play.id}`, text: describe('🏈', play.scoringType?.displayName || play.type?.text || 'Score', play) });
+          } else if (isPenalty(play)) {
+            events.push({ id: `play-${play.id}`, text: describe('🚩', 'Penalty', play) });
+          }
+        }
+
+        // Drives in "previous" are finished
+        if (drive !== summary.drives?.current && drive.result) {
+          const team = drive.team?.abbreviation || teamsById[drive.team?.id] || '';
+          events.push({
+            id: `drive-${drive.id}`,
+            text: `📋 **${team} drive: ${drive.displayResult || drive.result}** - ${drive.description || ''}`.trim()
+          });
+        }
+      }
+    } else {
+      // Soccer summaries list key events instead of plays
+      const plays = summary.plays || summary.keyEvents || [];
+      const scoringEmoji = { basketball: '🏀', hockey: '🚨', soccer: '⚽' }[sport] || '🔥';
+
+      for (const play of plays) {
+        const type = play.type?.text || '';
+        if (play.scoringPlay) {
+          events.push({ id: `play-${play.id}`, text: describe(scoringEmoji, type || 'Score', play) });
+        } else if (/red card/i.test(type)) {
+          events.push({ id: `play-${play.id}`, text: describe('🟥', type, play) });
+        } else if (/yellow card/i.test(type)) {
+          events.push({ id: `play-${play.id}`, text: describe('🟨', type, play) });
+        } else if (isPenalty(play)) {
+          events.push({ id: `play-${play.id}`, text: describe('🚩', 'Penalty', play) });
+        }
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * "AWY 3 - 7 HOM" from an ESPN game summary
+   */
+  getESPNScoreLine(summary) {
+    const competition = summary.header.competitions[0];
+    const homeTeam = competition.competitors.find(t => t.homeAway === 'home');
+    const awayTeam = competition.competitors.find(t => t.homeAway === 'away');
+    return `${awayTeam.team.abbreviation} ${awayTeam.score || 0} - ${homeTeam.score || 0} ${homeTeam.team.abbreviation}`;
+  }
+
+  /**
+   * Group lines into messages under Discord's length limit
+   */
+  chunkLines(lines, limit) {
+    const chunks = [];
+    let current = '';
+    for (const line of lines) {
+      const text = line.length > limit ? `${line.slice(0, limit - 1)}…` : line;
+      if (current && current.length + text.length + 2 > limit) {
+        chunks.push(current);
+        current = '';
+      }
+      current += current ? `\n\n${text}` : text;
+    }
+    if (current) chunks.push(current);
+    return chunks;
+  }
+
+  /**
+   * Subscribe to the MLB push feed for a game
+   */
+  connectWebSocket(gameId, thread) {
+    const wsUrl = `wss://ws.statsapi.mlb.com/api/v1/game/push/subscribe/gameday/${gameId}`;
+    const ws = new WebSocket(wsUrl);
+    const connection = { ws, keepAliveInterval: null, pollInterval: null };
+
+    let lastTimestamp = null;
+
+    ws.on('open', () => {
+      console.log(`Connected to MLB game ${gameId}`);
+      
+      // Send keepalive message every 60 seconds
+      connection.keepAliveInterval = setInterval(() => {
+        if (ws.readyState === WebSocket.OPEN) {
+          ws.send('Gameday5');
+        }
+      }, 60000);
+
+      const gameInfo = this.activeGames.get(gameId);
+      if (gameInfo) gameInfo.keepAliveInterval = connection.keepAliveInterval;
+
+      // Send initial message
+      ws.send('Gameday5');
+    });
+
+    ws.on('message', async (data) => {
+      try {
+        const update = JSON.parse(data.toString());
+        
+        if (update.timeStamp && update.timeStamp !== lastTimestamp) {
+          lastTimestamp = update.timeStamp;
+          
+          // Fetch updated game data
+          const gameData = await this.fetchMLBGame(gameId, lastTimestamp);
+          if (gameData) {
+            await this.updateThread(thread, gameData, update);
+          }
+        }
+      } catch (error) {
+        console.error(`Error processing update for game ${gameId}:`, error);
+      }
+    });
+
+    ws.on('error', (error) => {
+      console.error(`WebSocket error for game ${gameId}:`, error);
+    });
+
+    ws.on('close', () => {
+      console.log(`WebSocket closed for game ${gameId}`);
+      if (connection.keepAliveInterval) clearInterval(connection.keepAliveInterval);
+      this.stopTracking(gameId);
+    });
+
+    return connection;
+  }
+
+  /**
+   * Poll the replayed live feed, turning each new snapshot into a push-style update
+   */
+  pollReplayFeed(gameId, thread) {
+    let lastTimestamp = null;
+
+    const pollInterval = setInterval(async () => {
+      try {
+        const gameData = await this.fetchMLBGame(gameId);
+        const timeStamp = gameData?.metaData?.timeStamp;
+        if (!timeStamp || timeStamp === lastTimestamp) return;
+        lastTimestamp = timeStamp;
+
+        // e.g. "home_run" -> "homeRun", matching the push feed's logicalEvents
+        const eventType = gameData.liveData?.plays?.currentPlay?.result?.eventType;
+        const logicalEvent = eventType?.replace(/_(\w)/g, (match, letter) => letter.toUpperCase());
+
+        await this.updateThread(thread, gameData, {
+          timeStamp,
+          gameEvents: eventType ? [eventType] : [],
+          logicalEvents: logicalEvent ? [logicalEvent] : []
+        });
+      } catch (error) {
+        console.error(`Error processing replay update for game ${gameId}:`, error);
+      }
+    }, 5000);
+
+    return { ws: null, keepAliveInterval: null, pollInterval };
+  }
+
   /**
    * Post initial game information to thread
    */
@@ -213,6 +626,16 @@ class LiveGameManager {
     return status === 'Final' || status === 'Game Over' || status === 'Completed Early';
   }
 
+  /**
+   * Check if a tracked game is over, whichever feed it follows
+   */
+  isTrackedGameOver(gameInfo) {
+    if (gameInfo.source === 'espn') {
+      return gameInfo.gameData.header?.competitions?.[0]?.status?.type?.completed === true;
+    }
+    return this.isGameOver(gameInfo.gameData);
+  }
+
   /**
    * Handle game end
    */
@@ -221,34 +644,50 @@ class LiveGameManager {
       const gameInfo = this.activeGames.get(gameId);
       if (!gameInfo) return;
 
-      const finalData = await this.fetchMLBGame(gameId);
-      if (finalData) {
-        const awayScore = finalData.liveData.linescore?.teams?.away?.runs || 0;
-        const homeScore = finalData.liveData.linescore?.teams?.home?.runs || 0;
-        const awayTeam = finalData.gameData.teams.away.abbreviation;
-        const homeTeam = finalData.gameData.teams.home.abbreviation;
+      let finalLine = null;
+      if (gameInfo.source === 'espn') {
+        finalLine = this.getESPNScoreLine(gameInfo.gameData);
+      } else {
+        const finalData = await this.fetchMLBGame(gameId);
+        if (finalData) {
+          const awayScore = finalData.liveData.linescore?.teams?.away?.runs || 0;
+          const homeScore = finalData.liveData.linescore?.teams?.home?.runs || 0;
+          const awayTeam = finalData.gameData.teams.away.abbreviation;
+          const homeTeam = finalData.gameData.teams.home.abbreviation;
+          finalLine = `${awayTeam} ${awayScore} - ${homeScore} ${homeTeam}`;
+        }
+      }
 
-        await thread.send(`\n🏁 **GAME FINAL**\n${awayTeam} ${awayScore} - ${homeScore} ${homeTeam}`);
+      if (finalLine) {
+        await thread.send(`\n🏁 **GAME FINAL**\n${finalLine}`);
         await thread.send('This thread will be locked in 1 hour.');
       }
 
       // Stop tracking immediately
       this.stopTracking(gameId);
 
-      // Archive thread after 1 hour
-      setTimeout(async () => {
-        try {
-          await thread.setArchived(true);
-          await thread.setLocked(true);
-        } catch (error) {
-          console.error('Error archiving thread:', error);
-        }
-      }, 3600000); // 1 hour
+      // Archive thread after 1 hour (persisted so it survives restarts)
+      jobScheduler.schedule('archiveThread', 3600000, { threadId: thread.id });
     } catch (error) {
       console.error('Error handling game end:', error);
     }
   }
 
+  /**
+   * Lock and archive a finished game's thread (scheduled job)
+   */
+  async archiveThread(threadId) {
+    try {
+      const thread = await this.client?.channels.fetch(threadId);
+      if (thread) {
+        await thread.setLocked(true);
+        await thread.setArchived(true);
+      }
+    } catch (error) {
+      console.error('Error archiving thread:', error);
+    }
+  }
+
   /**
    * Stop tracking a game
    */
@@ -261,11 +700,34 @@ class LiveGameManager {
       if (gameInfo.keepAliveInterval) {
         clearInterval(gameInfo.keepAliveInterval);
       }
+      if (gameInfo.pollInterval) {
+        clearInterval(gameInfo.pollInterval);
+      }
       this.activeGames.delete(gameId);
+      this.forgetGame(gameId);
       console.log(`Stopped tracking game ${gameId}`);
     }
   }
 
+  /**
+   * Tracked games with their threads, for the dashboard
+   * @returns {Array} [{ gameId, sport, league, threadId, threadName, threadUrl, channelId, guildId, guildName, startTime }]
+   */
+  getTrackedGames() {
+    return [...this.activeGames.entries()].map(([gameId, gameInfo]) => ({
+      gameId,
+      sport: gameInfo.sport,
+      league: gameInfo.league,
+      threadId: gameInfo.thread.id,
+      threadName: gameInfo.thread.name,
+      threadUrl: gameInfo.thread.url,
+      channelId: gameInfo.channelId,
+      guildId: gameInfo.thread.guildId,
+      guildName: gameInfo.thread.guild?.name ?? null,
+      startTime: gameInfo.startTime
+    }));
+  }
+
   /**
    * Get all active games being tracked
    */
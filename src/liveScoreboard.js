@@ -0,0 +1,218 @@
+import espnAPI from './espnAPI.js';
+import leagueRegistry from './leagues.js';
+import scoreCenterManager from './scoreCenterManager.js';
+
+/**
+ * Live Scoreboard
+ * Pushes scores to the web dashboard over socket.io. Browsers join a room per
+ * league; each room gets a snapshot of the league's games when it joins, then
+ * only what changed on each tick of the score center's shared polling loop.
+ * Leagues are only polled while someone is watching them.
+ *
+ * Socket events:
+ * - client → 'scores:subscribe' (leagueKey, ack), 'scores:unsubscribe' (leagueKey)
+ * - server → 'scores:snapshot' { league, games }, 'scores:update' { league, games, removed }
+ *
+ * Updates carry the game id and only the card fields that changed.
+ */
+class LiveScoreboard {
+  constructor() {
+    this.io = null;
+    this.games = new Map(); // leagueKey -> Map(eventId -> card)
+  }
+
+  /**
+   * Serve the scoreboard on a socket.io server and join the shared polling loop
+   */
+  attach(io) {
+    this.io = io;
+
+    io.on('connection', socket => {
+      socket.on('scores:subscribe', async (leagueKey, ack) => {
+        const result = await this.join(socket, leagueKey);
+        if (typeof ack === 'function') ack(result);
+      });
+      socket.on('scores:unsubscribe', leagueKey => {
+        socket.leave(this.room(leagueKey));
+      });
+    });
+
+    scoreCenterManager.subscribe('web scoreboard', {
+      getLeagues: () => this.getLeagues(),
+      onScoreboards: scoreboards => this.update(scoreboards)
+    });
+  }
+
+  room(leagueKey) {
+    return `scores:${leagueKey}`;
+  }
+
+  /**
+   * League keys with at least one browser watching
+   */
+  getLeagues() {
+    if (!this.io) return [];
+    return leagueRegistry.getLeagues('scores')
+      .filter(league => this.io.sockets.adapter.rooms.get(this.room(league.key))?.size > 0)
+      .map(league => league.key);
+  }
+
+  /**
+   * Add a socket to a league's room and send it the league's games
+   */
+  async join(socket, leagueKey) {
+    const leagueInfo = leagueRegistry.getLeague(leagueKey);
+    if (!leagueInfo?.capabilities.includes('scores')) {
+      return { success: false, message: `Unknown league: ${leagueKey}` };
+    }
+
+    try {
+      // Nobody was watching, so there's nothing current to hand over yet
+      if (!this.games.has(leagueInfo.key)) {
+        const data = await espnAPI.getScoreboard(leagueInfo.sport, leagueInfo.league);
+        this.games.set(leagueInfo.key, new Map((data.events || []).map(event => [event.id, this.getCard(event)])));
+      }
+    } catch (error) {
+      console.error(`Error loading ${leagueInfo.name} scoreboard for the dashboard:`, error.message);
+      return { success: false, message: `Couldn't load ${leagueInfo.name} scores.` };
+    }
+
+    socket.join(this.room(leagueInfo.key));
+    socket.emit('scores:snapshot', { league: leagueInfo.key, games: [...this.games.get(leagueInfo.key).values()] });
+    scoreCenterManager.startPolling();
+
+    return { success: true };
+  }
+
+  /**
+   * What a game card shows
+   */
+  getCard(event) {
+    const competition = event.competitions[0];
+    const status = competition.status || event.status;
+    const state = status.type.state;
+
+    const side = homeAway => {
+      const competitor = competition.competitors.find(c => c.homeAway === homeAway);
+      const rank = competitor.curatedRank?.current;
+      return {
+        id: competitor.team.id,
+        abbreviation: competitor.team.abbreviation,
+        name: competitor.team.displayName,
+        logo: competitor.team.logo || competitor.team.logos?.[0]?.href || null,
+        // ESPN reports 0-0 before kickoff
+        score: state === 'pre' ? null : competitor.score ?? null,
+        // Scoreboards list records as records, game summaries as record
+        record: (competitor.records || competitor.record)?.[0]?.summary || null,
+        // ESPN marks unranked teams with 99
+        rank: rank >= 1 && rank <= 25 ? rank : null,
+        winner: competitor.winner === true
+      };
+    };
+
+    return {
+      id: event.id,
+      date: event.date,
+      state,
+      detail: status.type.shortDetail || status.type.detail,
+      away: side('away'),
+      home: side('home'),
+      broadcast: competition.broadcasts?.[0]?.names?.[0] || null,
+      lastPlay: state === 'in' ? competition.situation?.lastPlay?.text || null : null
+    };
+  }
+
+  /**
+   * Send each watched league what changed since the last tick
+   * @param {Array} scoreboards - [{ sportInfo, events }] from the shared poll
+   */
+  update(scoreboards) {
+    const watched = this.getLeagues();
+
+    // Forget leagues nobody watches; whoever joins next gets a fresh load
+    for (const leagueKey of this.games.keys()) {
+      if (!watched.includes(leagueKey)) this.games.delete(leagueKey);
+    }
+
+    for (const { sportInfo, events } of scoreboards) {
+      // Failed leagues keep their cards until the next good tick
+      if (!watched.includes(sportInfo.key) || events === null) continue;
+
+      const previous = this.games.get(sportInfo.key) || new Map();
+      const current = new Map(events.map(event => [event.id, this.getCard(event)]));
+      const changes = [];
+
+      for (const [eventId, card] of current.entries()) {
+        const before = previous.get(eventId);
+        if (!before) {
+          changes.push(card);
+          continue;
+        }
+        const changed = Object.keys(card).filter(key => JSON.stringify(card[key]) !== JSON.stringify(before[key]));
+        if (changed.length > 0) {
+          changes.push(Object.fromEntries([['id', eventId], ...changed.map(key => [key, card[key]])]));
+        }
+      }
+      const removed = [...previous.keys()].filter(eventId => !current.has(eventId));
+
+      this.games.set(sportInfo.key, current);
+      if (changes.length > 0 || removed.length > 0) {
+        this.io.to(this.room(sportInfo.key)).emit('scores:update', { league: sportInfo.key, games: changes, removed });
+      }
+    }
+  }
+
+  /**
+   * Box score for the dashboard's game drill-down
+   * @returns {Promise<object>} { game, periodName, linescores, teamStats, leaders, scoringPlays, players }
+   */
+  async getBoxScore(leagueKey, eventId) {
+    const leagueInfo = leagueRegistry.getLeague(leagueKey);
+    const summary = await espnAPI.getGameSummary(leagueInfo.sport, leagueInfo.league, eventId);
+    const competition = summary.header.competitions[0];
+    const competitors = ['away', 'home'].map(side => competition.competitors.find(c => c.homeAway === side));
+
+    const teamStats = [];
+    const [awayStats, homeStats] = competitors.map(c => summary.boxscore?.teams?.find(t => t.team.id === c.team.id)?.statistics || []);
+    for (const stat of awayStats) {
+      const homeStat = homeStats.find(s => s.name === stat.name);
+      if (homeStat) teamStats.push({ label: stat.label || stat.name, away: stat.displayValue, home: homeStat.displayValue });
+    }
+
+    const scoringPlays = summary.scoringPlays || (summary.plays || []).filter(play => play.scoringPlay);
+
+    return {
+      game: this.getCard({ id: eventId, date: competition.date, competitions: [competition] }),
+      periodName: leagueInfo.periods.name,
+      linescores: competitors.map(c => (c.linescores || []).map(period => period.displayValue ?? '-')),
+      teamStats,
+      leaders: competitors.map(c => (summary.leaders?.find(l => l.team?.id === c.team.id)?.leaders || [])
+        .filter(category => category.leaders?.[0])
+        .map(category => ({
+          category: category.displayName,
+          athlete: category.leaders[0].athlete?.displayName || 'N/A',
+          value: category.leaders[0].displayValue
+        }))),
+      scoringPlays: scoringPlays.map(play => ({
+        period: play.period?.number ?? null,
+        clock: play.clock?.displayValue || null,
+        team: play.team?.abbreviation || null,
+        text: play.text,
+        awayScore: play.awayScore ?? null,
+        homeScore: play.homeScore ?? null
+      })),
+      players: competitors.map(c => (summary.boxscore?.players?.find(p => p.team.id === c.team.id)?.statistics || [])
+        .filter(group => group.athletes?.length)
+        .map(group => ({
+          name: group.text || group.name || 'Stats',
+          labels: group.labels || [],
+          athletes: group.athletes.map(entry => ({
+            name: entry.athlete?.shortName || entry.athlete?.displayName || '',
+            stats: entry.stats || []
+          }))
+        })))
+    };
+  }
+}
+
+export default new LiveScoreboard();
@@ -0,0 +1,95 @@
+import stateStore from './stateStore.js';
+
+/**
+ * Odds Format Helpers
+ * Converts American moneylines to decimal and fractional prices, works out
+ * implied and no-vig probabilities and the book's hold, and keeps each
+ * member's (or guild's) preferred format.
+ *
+ * State ('oddsFormats'): { users: { userId: format }, guilds: { guildId: format } }
+ */
+
+export const ODDS_FORMATS = {
+  american: 'American',
+  decimal: 'Decimal',
+  fractional: 'Fractional'
+};
+
+const DEFAULT_FORMAT = 'american';
+
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
+
+/**
+ * Decimal price (total return per unit staked) of an American moneyline
+ */
+export function americanToDecimal(moneyLine) {
+  return moneyLine > 0 ? 1 + moneyLine / 100 : 1 + 100 / -moneyLine;
+}
+
+/**
+ * A moneyline in the given format, e.g. +150, 2.50 or 3/2
+ */
+export function formatPrice(moneyLine, format = DEFAULT_FORMAT) {
+  if (typeof moneyLine !== 'number' || moneyLine === 0) return 'N/A';
+
+  if (format === 'decimal') {
+    return americanToDecimal(moneyLine).toFixed(2);
+  }
+  if (format === 'fractional') {
+    const [won, staked] = moneyLine > 0 ? [moneyLine, 100] : [100, -moneyLine];
+    const divisor = gcd(won, staked);
+    return `${won / divisor}/${staked / divisor}`;
+  }
+  return moneyLine > 0 ? `+${moneyLine}` : `${moneyLine}`;
+}
+
+/**
+ * Win probability a moneyline implies, vig included (0-1)
+ */
+export function impliedProbability(moneyLine) {
+  return 1 / americanToDecimal(moneyLine);
+}
+
+/**
+ * Implied and no-vig probabilities for both sides of a two-way market
+ * @returns {object|null} { away, home, fairAway, fairHome, hold } as fractions (0-1)
+ */
+export function getMarket(awayMoneyLine, homeMoneyLine) {
+  if (!awayMoneyLine || !homeMoneyLine) return null;
+
+  const away = impliedProbability(awayMoneyLine);
+  const home = impliedProbability(homeMoneyLine);
+  const overround = away + home;
+  return {
+    away,
+    home,
+    fairAway: away / overround,
+    fairHome: home / overround,
+    // Share of the money the book keeps when both sides are bet in proportion
+    hold: 1 - 1 / overround
+  };
+}
+
+export function formatPercent(probability) {
+  return `${(probability * 100).toFixed(1)}%`;
+}
+
+/**
+ * Format odds are shown in for a member: their own choice, else the guild's, else American
+ */
+export function getOddsFormat(userId, guildId = null) {
+  const formats = stateStore.get('oddsFormats', { users: {}, guilds: {} });
+  return formats.users[userId] || (guildId && formats.guilds[guildId]) || DEFAULT_FORMAT;
+}
+
+/**
+ * Set a member's or a guild's odds format
+ * @param {string} scope - 'user' or 'guild'
+ */
+export function setOddsFormat(scope, id, format) {
+  stateStore.update('oddsFormats', formats => {
+    formats[scope === 'guild' ? 'guilds' : 'users'][id] = format;
+  }, { users: {}, guilds: {} });
+}
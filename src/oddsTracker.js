@@ -0,0 +1,343 @@
+import { EmbedBuilder } from 'discord.js';
+import espnAPI from './espnAPI.js';
+import leagueRegistry from './leagues.js';
+import stateStore from './stateStore.js';
+import { formatPrice } from './oddsFormat.js';
+
+// How often lines of leagues with alert subscriptions are snapshotted
+const SNAPSHOT_INTERVAL = 30 * 60 * 1000;
+
+// History is kept this long after a game's start
+const HISTORY_TTL = 24 * 60 * 60 * 1000;
+
+// Snapshots kept per game; the first (opening) one is never dropped
+const MAX_SNAPSHOTS = 48;
+
+const DEFAULT_THRESHOLDS = { spread: 1.5, total: 2 };
+
+/**
+ * Odds Tracker
+ * Snapshots spread, total and moneyline for upcoming games, keeping each
+ * game's history so /odds can show the opening line and how it moved, and
+ * alerts subscribed channels when a spread or total moves past their threshold.
+ * A snapshot is only stored when a line changed since the last one.
+ *
+ * Every /odds lookup records a snapshot; the timed snapshots only run while at
+ * least one channel subscribes to alerts, and only for the leagues subscribed to.
+ *
+ * State:
+ * - oddsHistory: { leagueKey: { eventId: { name, date, away, home, snapshots: [{ time, spread, total, awayMoneyLine, homeMoneyLine }] } } }
+ * - oddsAlerts: { channelId: { guildId, leagues: { leagueKey: { spread, total, since } }, baselines: { eventId: { spread, total } } } }
+ *
+ * Spreads are stored as the home team's line, negative when the home team is favored.
+ */
+class OddsTracker {
+  constructor() {
+    this.client = null;
+    this.snapshotInterval = null;
+  }
+
+  async restore(client) {
+    this.client = client;
+    if (this.getAlertLeagues().length > 0) {
+      this.startSnapshots();
+    }
+  }
+
+  startSnapshots() {
+    if (this.snapshotInterval) return;
+
+    this.snapshotInterval = setInterval(async () => {
+      await this.snapshotAll();
+    }, SNAPSHOT_INTERVAL);
+  }
+
+  stopSnapshots() {
+    clearInterval(this.snapshotInterval);
+    this.snapshotInterval = null;
+  }
+
+  /**
+   * League keys at least one channel gets alerts for
+   */
+  getAlertLeagues() {
+    const leagueKeys = new Set();
+    for (const subscription of Object.values(stateStore.get('oddsAlerts'))) {
+      Object.keys(subscription.leagues).forEach(key => leagueKeys.add(key));
+    }
+    return [...leagueKeys];
+  }
+
+  /**
+   * Spread, total and moneylines from an ESPN odds item
+   */
+  getLines(odds) {
+    if (!odds) return null;
+
+    let spread = null;
+    if (typeof odds.spread === 'number') {
+      if (odds.homeTeamOdds?.favorite) spread = -Math.abs(odds.spread);
+      else if (odds.awayTeamOdds?.favorite) spread = Math.abs(odds.spread);
+      else spread = odds.spread;
+    }
+
+    return {
+      spread,
+      total: typeof odds.overUnder === 'number' ? odds.overUnder : null,
+      awayMoneyLine: odds.awayTeamOdds?.moneyLine ?? null,
+      homeMoneyLine: odds.homeTeamOdds?.moneyLine ?? null
+    };
+  }
+
+  /**
+   * Snapshot every league a channel gets alerts for and send any movement alerts
+   */
+  async snapshotAll() {
+    const leagueKeys = this.getAlertLeagues();
+    if (leagueKeys.length === 0) {
+      this.stopSnapshots();
+      return;
+    }
+
+    for (const leagueInfo of leagueRegistry.getLeagues('odds').filter(l => leagueKeys.includes(l.key))) {
+      try {
+        const data = await espnAPI.getOdds(leagueInfo.sport, leagueInfo.league);
+        await this.record(leagueInfo, data.events);
+      } catch (error) {
+        console.error(`Error snapshotting ${leagueInfo.name} odds:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Add a snapshot for each game whose lines changed and alert on big moves
+   * @param {object} leagueInfo - League from the registry
+   * @param {Array} events - Events from espnAPI.getOdds
+   */
+  async record(leagueInfo, events) {
+    const history = stateStore.get('oddsHistory');
+    const leagueHistory = history[leagueInfo.key] || (history[leagueInfo.key] = {});
+    const moved = [];
+    const now = Date.now();
+
+    for (const event of events) {
+      // Lines after the start are live odds, not the pregame market
+      const lines = this.getLines(event.odds);
+      if (!lines || !event.homeTeam || !event.awayTeam || new Date(event.date).getTime() <= now) continue;
+
+      const game = leagueHistory[event.id] || (leagueHistory[event.id] = {
+        name: `${event.awayTeam.displayName} @ ${event.homeTeam.displayName}`,
+        date: new Date(event.date).getTime(),
+        away: event.awayTeam.abbreviation,
+        home: event.homeTeam.abbreviation,
+        snapshots: []
+      });
+      game.date = new Date(event.date).getTime(); // follow postponements
+
+      const last = game.snapshots[game.snapshots.length - 1];
+      if (last && Object.keys(lines).every(key => lines[key] === last[key])) continue;
+
+      game.snapshots.push({ time: now, ...lines });
+      if (game.snapshots.length > MAX_SNAPSHOTS) game.snapshots.splice(1, 1);
+      if (last) moved.push(event.id);
+    }
+
+    stateStore.set('oddsHistory', history);
+    this.prune();
+
+    if (moved.length > 0) {
+      await this.sendAlerts(leagueInfo, moved);
+    }
+  }
+
+  /**
+   * Drop history for games that started long ago and alert baselines that go with them
+   */
+  prune() {
+    const cutoff = Date.now() - HISTORY_TTL;
+    const eventIds = new Set();
+
+    stateStore.update('oddsHistory', history => {
+      for (const leagueHistory of Object.values(history)) {
+        for (const [eventId, game] of Object.entries(leagueHistory)) {
+          if (game.date < cutoff) delete leagueHistory[eventId];
+          else eventIds.add(eventId);
+        }
+      }
+    });
+
+    stateStore.update('oddsAlerts', alerts => {
+      for (const subscription of Object.values(alerts)) {
+        for (const eventId of Object.keys(subscription.baselines)) {
+          if (!eventIds.has(eventId)) delete subscription.baselines[eventId];
+        }
+      }
+    });
+  }
+
+  /**
+   * A game's stored history
+   */
+  getHistory(leagueKey, eventId) {
+    return stateStore.get('oddsHistory')[leagueKey]?.[eventId] || null;
+  }
+
+  formatSpread(game, spread) {
+    if (spread === null) return 'N/A';
+    if (spread === 0) return 'PK';
+    return spread < 0 ? `${game.home} ${spread}` : `${game.away} -${spread}`;
+  }
+
+  /**
+   * Opening line and movement timeline lines for /odds
+   * @param {object} options - limit: most recent changes to show, format: moneyline format
+   */
+  describeMovement(leagueKey, eventId, { limit = 4, format = 'american' } = {}) {
+    const game = this.getHistory(leagueKey, eventId);
+    if (!game || game.snapshots.length === 0) return [];
+
+    const [opening] = game.snapshots;
+    const lines = [`Opened: **${this.formatSpread(game, opening.spread)}** • O/U **${opening.total ?? 'N/A'}** (<t:${Math.floor(opening.time / 1000)}:R>)`];
+
+    const changes = game.snapshots.slice(1).slice(-limit);
+    for (const [index, snapshot] of changes.entries()) {
+      const previous = game.snapshots[game.snapshots.length - changes.length + index - 1];
+      const parts = [];
+      if (snapshot.spread !== previous.spread) {
+        parts.push(`${this.formatSpread(game, previous.spread)} → ${this.formatSpread(game, snapshot.spread)}`);
+      }
+      if (snapshot.total !== previous.total) {
+        parts.push(`O/U ${previous.total ?? 'N/A'} → ${snapshot.total ?? 'N/A'}`);
+      }
+      if (snapshot.awayMoneyLine !== previous.awayMoneyLine || snapshot.homeMoneyLine !== previous.homeMoneyLine) {
+        parts.push(`ML ${formatPrice(snapshot.awayMoneyLine, format)}/${formatPrice(snapshot.homeMoneyLine, format)}`);
+      }
+      lines.push(`▸ <t:${Math.floor(snapshot.time / 1000)}:R> ${parts.join(' • ')}`);
+    }
+
+    return lines;
+  }
+
+  /**
+   * Channel alert subscriptions
+   */
+  getSubscription(channelId) {
+    return stateStore.get('oddsAlerts')[channelId] || null;
+  }
+
+  /**
+   * Alert a channel when a league's spreads or totals move
+   * @param {object} channel - Discord channel
+   * @param {string} leagueKey - League key, e.g. 'nfl'
+   * @param {object} thresholds - { spread, total } in points
+   */
+  subscribe(channel, leagueKey, thresholds = {}) {
+    const leagueInfo = leagueRegistry.getLeague(leagueKey);
+    const settings = { ...DEFAULT_THRESHOLDS, ...thresholds, since: Date.now() };
+
+    stateStore.update('oddsAlerts', alerts => {
+      const subscription = alerts[channel.id] || { guildId: channel.guildId, leagues: {}, baselines: {} };
+      subscription.leagues[leagueInfo.key] = settings;
+      alerts[channel.id] = subscription;
+    });
+    this.startSnapshots();
+
+    return {
+      success: true,
+      message: `${leagueInfo.emoji} This channel will get ${leagueInfo.name} line movement alerts when a spread moves ${settings.spread}+ points or a total moves ${settings.total}+ points.`
+    };
+  }
+
+  /**
+   * Stop alerts for one league, or all leagues when leagueKey is omitted
+   */
+  unsubscribe(channelId, leagueKey = null) {
+    const subscription = this.getSubscription(channelId);
+    if (!subscription || (leagueKey && !subscription.leagues[leagueKey])) {
+      return { success: false, message: `This channel doesn't get ${leagueKey ? `${leagueRegistry.getLeague(leagueKey).name} ` : ''}line movement alerts.` };
+    }
+
+    stateStore.update('oddsAlerts', alerts => {
+      if (leagueKey) delete alerts[channelId].leagues[leagueKey];
+      if (!leagueKey || Object.keys(alerts[channelId].leagues).length === 0) delete alerts[channelId];
+    });
+    if (this.getAlertLeagues().length === 0) {
+      this.stopSnapshots();
+    }
+
+    return { success: true, message: leagueKey ? `Stopped ${leagueRegistry.getLeague(leagueKey).name} line movement alerts.` : 'Stopped all line movement alerts.' };
+  }
+
+  /**
+   * Line a subscription measures movement from: the line at its last alert for
+   * the game, else the line when it subscribed (or the first one seen after)
+   */
+  getBaseline(subscription, settings, game, eventId) {
+    if (subscription.baselines[eventId]) return subscription.baselines[eventId];
+    const before = game.snapshots.filter(s => s.time <= settings.since);
+    return before[before.length - 1] || game.snapshots[0];
+  }
+
+  /**
+   * Post alerts for games whose lines moved past a channel's threshold
+   */
+  async sendAlerts(leagueInfo, eventIds) {
+    const alerts = stateStore.get('oddsAlerts');
+
+    for (const [channelId, subscription] of Object.entries(alerts)) {
+      const settings = subscription.leagues[leagueInfo.key];
+      if (!settings) continue;
+
+      const embeds = [];
+      for (const eventId of eventIds) {
+        const game = this.getHistory(leagueInfo.key, eventId);
+        const current = game.snapshots[game.snapshots.length - 1];
+        const baseline = this.getBaseline(subscription, settings, game, eventId);
+
+        const moves = [];
+        if (current.spread !== null && baseline.spread !== null && Math.abs(current.spread - baseline.spread) >= settings.spread) {
+          moves.push({ name: 'Spread', value: `${this.formatSpread(game, baseline.spread)} → **${this.formatSpread(game, current.spread)}**`, inline: true });
+        }
+        if (current.total !== null && baseline.total !== null && Math.abs(current.total - baseline.total) >= settings.total) {
+          const arrow = current.total > baseline.total ? '⬆️' : '⬇️';
+          moves.push({ name: 'Total', value: `${baseline.total} → **${current.total}** ${arrow}`, inline: true });
+        }
+        if (moves.length === 0) continue;
+
+        // Next alert for this game measures from here
+        subscription.baselines[eventId] = { spread: current.spread, total: current.total };
+        embeds.push(new EmbedBuilder()
+          .setColor('#ffaa00')
+          .setTitle(`${leagueInfo.emoji} Line move: ${game.name}`)
+          .setDescription(`Starts <t:${Math.floor(game.date / 1000)}:R>`)
+          .addFields(moves)
+          .setFooter({ text: 'ESPN / DraftKings' })
+          .setTimestamp(current.time));
+      }
+
+      if (embeds.length > 0) {
+        await this.send(channelId, embeds);
+      }
+    }
+
+    stateStore.set('oddsAlerts', alerts);
+  }
+
+  async send(channelId, embeds) {
+    try {
+      const channel = await this.client.channels.fetch(channelId);
+      // Discord allows 10 embeds per message
+      for (let i = 0; i < embeds.length; i += 10) {
+        await channel.send({ embeds: embeds.slice(i, i + 10) });
+      }
+    } catch (error) {
+      console.error(`Error posting line movement alert to channel ${channelId}:`, error.message);
+      // Channel was deleted or the bot lost access; stop alerting there
+      if (error.code === 10003 || error.code === 50001) {
+        this.unsubscribe(channelId);
+      }
+    }
+  }
+}
+
+export default new OddsTracker();
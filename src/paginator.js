@@ -0,0 +1,205 @@
+import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ComponentType } from 'discord.js';
+
+/**
+ * Paginator
+ * Packs rendered list items into embeds that stay inside every Discord size
+ * limit, and pages through them with buttons handled by a collector on the
+ * reply. When the collector expires the buttons are removed and the page
+ * being shown stays.
+ *
+ * Items are description lines (strings) or embed fields ({ name, value, inline }).
+ * Fields may carry extra properties (e.g. the event they describe) for the
+ * components callback; only name, value and inline reach the embed.
+ */
+
+// Discord embed limits
+export const EMBED_LIMITS = {
+  title: 256,
+  description: 4096,
+  fields: 25,
+  fieldName: 256,
+  fieldValue: 1024,
+  footer: 2048,
+  total: 6000
+};
+
+// Page buttons stop after this long; interaction tokens only last 15 minutes
+const PAGE_TIMEOUT = 10 * 60 * 1000;
+
+// Footer room kept for " • Page x/y"
+const PAGE_LABEL_ROOM = 20;
+
+function truncate(text, limit) {
+  return text.length > limit ? `${text.slice(0, limit - 1)}…` : text;
+}
+
+/**
+ * Fields for a code-block table, split so each stays under the field limit
+ * and repeating the header row at the top of every part
+ */
+export function tableFields(name, header, rows) {
+  const chunks = [];
+  let chunk = [header];
+  for (const row of rows) {
+    if (chunk.length > 1 && ['```', ...chunk, row, '```'].join('\n').length > EMBED_LIMITS.fieldValue) {
+      chunks.push(chunk);
+      chunk = [header];
+    }
+    chunk.push(row);
+  }
+  chunks.push(chunk);
+
+  return chunks.map((lines, index) => ({
+    name: index === 0 ? name : `${name} (cont.)`,
+    value: ['```', ...lines, '```'].join('\n'),
+    inline: false
+  }));
+}
+
+/**
+ * Pack items into pages that fit one embed each
+ * @param {Array<string|object>} items - Lines or fields
+ * @param {object} options - title, description (shown above every page's lines), footer, perPage
+ * @returns {Array<object>} [{ lines, fields, source }], source being the original items on the page
+ */
+export function buildPages(items, options = {}) {
+  const { perPage = Infinity } = options;
+  const header = options.description ? truncate(options.description, EMBED_LIMITS.description) : '';
+  const budget = EMBED_LIMITS.total -
+    Math.min(options.title?.length || 0, EMBED_LIMITS.title) - header.length - (options.footer?.length || 0) - PAGE_LABEL_ROOM;
+  const pages = [];
+  let page = null;
+
+  for (const source of items) {
+    const item = typeof source === 'string'
+      ? truncate(source, EMBED_LIMITS.description - header.length - 1)
+      : {
+          name: truncate(source.name || '\u200b', EMBED_LIMITS.fieldName),
+          value: truncate(source.value || '\u200b', EMBED_LIMITS.fieldValue),
+          inline: source.inline ?? false
+        };
+    const isLine = typeof item === 'string';
+    const size = isLine ? item.length + 1 : item.name.length + item.value.length;
+
+    const fits = page &&
+      page.source.length < perPage &&
+      page.size + size <= budget &&
+      (isLine ? page.descriptionLength + size <= EMBED_LIMITS.description : page.fields.length < EMBED_LIMITS.fields);
+
+    if (!fits) {
+      page = { lines: [], fields: [], source: [], size: 0, descriptionLength: header.length };
+      pages.push(page);
+    }
+
+    if (isLine) {
+      page.lines.push(item);
+      page.descriptionLength += size;
+    } else {
+      page.fields.push(item);
+    }
+    page.source.push(source);
+    page.size += size;
+  }
+
+  return pages.length > 0 ? pages : [{ lines: [], fields: [], source: [] }];
+}
+
+/**
+ * One page as an embed
+ * @param {object} options - title, description, color, footer, url, thumbnail, timestamp
+ */
+export function buildPageEmbed(page, index, pageCount, options = {}) {
+  const embed = new EmbedBuilder().setColor(options.color || '#0099ff');
+
+  if (options.title) embed.setTitle(truncate(options.title, EMBED_LIMITS.title));
+  if (options.url) embed.setURL(options.url);
+  if (options.thumbnail) embed.setThumbnail(options.thumbnail);
+  if (options.timestamp !== false) embed.setTimestamp();
+
+  const description = [options.description, ...page.lines].filter(Boolean).join('\n');
+  if (description) embed.setDescription(truncate(description, EMBED_LIMITS.description));
+  if (page.fields.length > 0) embed.addFields(page.fields);
+
+  const footer = [options.footer, pageCount > 1 && `Page ${index + 1}/${pageCount}`].filter(Boolean).join(' • ');
+  if (footer) embed.setFooter({ text: truncate(footer, EMBED_LIMITS.footer) });
+
+  return embed;
+}
+
+function buildNavRow(id, index, pageCount) {
+  const button = (action, label, disabled) => new ButtonBuilder()
+    .setCustomId(`${id}_${action}`)
+    .setLabel(label)
+    .setStyle(ButtonStyle.Secondary)
+    .setDisabled(disabled);
+
+  return new ActionRowBuilder().addComponents(
+    button('first', '⏮', index === 0),
+    button('prev', '◀', index === 0),
+    button('page', `${index + 1} / ${pageCount}`, true),
+    button('next', '▶', index >= pageCount - 1),
+    button('last', '⏭', index >= pageCount - 1)
+  );
+}
+
+/**
+ * Reply with the first page and let the member page through the rest
+ * @param {object} interaction - Deferred command interaction
+ * @param {Array<string|object>} items - Rendered lines or fields
+ * @param {object} options - Embed options (see buildPageEmbed), perPage, content, and
+ *   components(pageItems, index) returning extra rows for a page (at most four)
+ */
+export async function paginate(interaction, items, options = {}) {
+  const pages = buildPages(items, options);
+  const id = `page_${interaction.id}`;
+  let current = 0;
+
+  const render = (index, withNav = true) => {
+    const navigable = withNav && pages.length > 1;
+    const rows = (options.components?.(pages[index].source, index) || []).slice(0, navigable ? 4 : 5);
+    if (navigable) rows.push(buildNavRow(id, index, pages.length));
+    return {
+      content: options.content || null,
+      embeds: [buildPageEmbed(pages[index], index, pages.length, options)],
+      components: rows
+    };
+  };
+
+  const message = await interaction.editReply(render(current));
+  if (pages.length <= 1) return message;
+
+  const collector = message.createMessageComponentCollector({
+    componentType: ComponentType.Button,
+    filter: button => button.customId.startsWith(`${id}_`),
+    time: options.time || PAGE_TIMEOUT
+  });
+
+  collector.on('collect', async button => {
+    if (button.user.id !== interaction.user.id) {
+      await button.reply({
+        content: `These pages belong to ${interaction.user}. Run \`/${interaction.commandName}\` to get your own.`,
+        ephemeral: true
+      }).catch(() => {});
+      return;
+    }
+
+    const action = button.customId.slice(id.length + 1);
+    const target = { first: 0, prev: current - 1, next: current + 1, last: pages.length - 1 }[action] ?? current;
+    current = Math.min(Math.max(target, 0), pages.length - 1);
+
+    try {
+      await button.update(render(current));
+    } catch (error) {
+      console.error('Error turning page:', error.message);
+    }
+  });
+
+  // Buttons that no longer work are removed, keeping the page being shown
+  collector.on('end', async () => {
+    await interaction.editReply(render(current, false)).catch(error => {
+      console.error('Error removing page buttons:', error.message);
+    });
+  });
+
+  return message;
+}
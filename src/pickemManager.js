@@ -0,0 +1,384 @@
+import crypto from 'crypto';
+import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import espnAPI from './espnAPI.js';
+import leagueRegistry from './leagues.js';
+import stateStore from './stateStore.js';
+import scoreCenterManager from './scoreCenterManager.js';
+import oddsTracker from './oddsTracker.js';
+import { getZonedParts } from './timezone.js';
+
+// Two games (four buttons) per row, five rows per message
+const GAMES_PER_MESSAGE = 10;
+
+// Games this long past kickoff that fell off the scoreboard are graded from their summary
+const SUMMARY_GRADE_AFTER = 4 * 60 * 60 * 1000;
+
+// Weeks for daily leagues follow US Eastern dates
+const WEEK_TIME_ZONE = 'America/New_York';
+
+/**
+ * Pick'em Manager
+ * Posts a slate of upcoming games with a button per team, takes picks until
+ * each game kicks off, grades picks (straight up or against the spread) when
+ * games go final and keeps weekly and season leaderboards per guild.
+ * Grading rides on the score center's shared scoreboard poll.
+ *
+ * State ('pickem'): { guildId: { slates: { slateId: slate } } }
+ * slate: { id, league, channelId, ats, season, week, weekLabel, messages: [{ id, eventIds }],
+ *          games: { eventId: { away, home, startTime, homeLine, status, awayScore, homeScore, winnerId, coverId, voidReason } },
+ *          picks: { userId: { eventId: teamId } } }
+ * game status: open → locked → graded, or void when the game is postponed or canceled
+ */
+class PickemManager {
+  constructor() {
+    this.client = null;
+  }
+
+  async restore(client) {
+    this.client = client;
+    scoreCenterManager.subscribe("pick'em", {
+      getLeagues: () => this.getLeagues(),
+      onScoreboards: scoreboards => this.update(scoreboards)
+    });
+    if (this.getLeagues().length > 0) {
+      scoreCenterManager.startPolling();
+    }
+  }
+
+  getGuildState(guildId) {
+    const state = stateStore.get('pickem');
+    if (!state[guildId]) state[guildId] = { slates: {} };
+    return state[guildId];
+  }
+
+  /**
+   * Every slate that still has games to grade, across guilds
+   * @returns {Array} [{ guildId, slate }]
+   */
+  getOpenSlates() {
+    return Object.entries(stateStore.get('pickem')).flatMap(([guildId, guildState]) =>
+      Object.values(guildState.slates)
+        .filter(slate => Object.values(slate.games).some(game => game.status === 'open' || game.status === 'locked'))
+        .map(slate => ({ guildId, slate }))
+    );
+  }
+
+  getLeagues() {
+    return [...new Set(this.getOpenSlates().map(({ slate }) => slate.league))];
+  }
+
+  /**
+   * Week a slate counts towards: the league's week for weekly leagues, else the calendar week
+   */
+  getWeek(scoreboardData, leagueInfo, date) {
+    if (leagueInfo.schedule === 'weekly' && scoreboardData.week?.number) {
+      return { week: `week-${scoreboardData.week.number}`, weekLabel: `Week ${scoreboardData.week.number}` };
+    }
+
+    // Monday of the slate's week
+    const { year, month, day } = getZonedParts(date, WEEK_TIME_ZONE);
+    const monday = new Date(Date.UTC(year, month - 1, day));
+    monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+    const label = monday.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+    return { week: monday.toISOString().slice(0, 10), weekLabel: `Week of ${label}` };
+  }
+
+  /**
+   * Post a slate of upcoming games to a channel
+   * @param {object} channel - Discord channel
+   * @param {string} sportValue - League value, e.g. 'football/nfl'
+   * @param {object} options - { ats: pick against the spread, date: YYYYMMDD }
+   */
+  async postSlate(channel, sportValue, { ats = false, date = null } = {}) {
+    const leagueInfo = leagueRegistry.getLeague(sportValue);
+    const scoreboardData = await espnAPI.getScoreboard(leagueInfo.sport, leagueInfo.league, date);
+    const events = (scoreboardData.events || []).filter(event => event.status.type.state === 'pre');
+
+    if (events.length === 0) {
+      return { success: false, message: `No upcoming ${leagueInfo.name} games to pick.` };
+    }
+
+    const lines = new Map();
+    if (ats && !leagueInfo.capabilities.includes('odds')) {
+      return { success: false, message: `${leagueInfo.name} has no betting lines. Try again without \`spread\`.` };
+    }
+    if (ats) {
+      const oddsData = await espnAPI.getOdds(leagueInfo.sport, leagueInfo.league, { date });
+      for (const event of oddsData.events) {
+        const homeLine = oddsTracker.getLines(event.odds)?.spread ?? null;
+        if (homeLine !== null) lines.set(event.id, homeLine);
+      }
+      if (lines.size === 0) {
+        return { success: false, message: `No ${leagueInfo.name} spreads are available yet. Try again without \`spread\`.` };
+      }
+    }
+
+    const games = {};
+    for (const event of events) {
+      // Against the spread, games without a line are left off the slate
+      if (ats && !lines.has(event.id)) continue;
+
+      const competition = event.competitions[0];
+      const team = side => {
+        const competitor = competition.competitors.find(t => t.homeAway === side);
+        return { id: competitor.team.id, abbreviation: competitor.team.abbreviation, name: competitor.team.displayName };
+      };
+      games[event.id] = {
+        away: team('away'),
+        home: team('home'),
+        startTime: new Date(event.date).getTime(),
+        homeLine: ats ? lines.get(event.id) : null,
+        status: 'open'
+      };
+    }
+
+    const slate = {
+      id: crypto.randomUUID().slice(0, 8),
+      league: leagueInfo.key,
+      channelId: channel.id,
+      ats,
+      season: scoreboardData.season?.year || new Date().getFullYear(),
+      ...this.getWeek(scoreboardData, leagueInfo, events[0].date),
+      messages: [],
+      games,
+      picks: {}
+    };
+
+    const eventIds = Object.keys(games);
+    for (let i = 0; i < eventIds.length; i += GAMES_PER_MESSAGE) {
+      const chunk = eventIds.slice(i, i + GAMES_PER_MESSAGE);
+      const message = await channel.send(this.buildSlateMessage(slate, chunk));
+      slate.messages.push({ id: message.id, eventIds: chunk });
+    }
+
+    stateStore.update('pickem', state => {
+      state[channel.guildId] = state[channel.guildId] || { slates: {} };
+      state[channel.guildId].slates[slate.id] = slate;
+    });
+
+    scoreCenterManager.startPolling();
+    return { success: true, message: `Posted ${eventIds.length} ${leagueInfo.name} game${eventIds.length === 1 ? '' : 's'} for ${slate.weekLabel}.` };
+  }
+
+  formatLine(line) {
+    if (line === 0) return 'PK';
+    return line > 0 ? `+${line}` : `${line}`;
+  }
+
+  /**
+   * Embed and pick buttons for part of a slate
+   */
+  buildSlateMessage(slate, eventIds) {
+    const leagueInfo = leagueRegistry.getLeague(slate.league);
+    const embed = new EmbedBuilder()
+      .setColor('#ff9900')
+      .setTitle(`${leagueInfo.emoji} ${leagueInfo.name} Pick'em • ${slate.weekLabel}`)
+      .setDescription(`${slate.ats ? 'Pick against the spread.' : 'Pick the winners.'} Picks lock at kickoff and can be changed until then.`)
+      .setFooter({ text: `Slate ${slate.id}` })
+      .setTimestamp();
+
+    const rows = [];
+    eventIds.forEach((eventId, index) => {
+      const game = slate.games[eventId];
+      const counts = { [game.away.id]: 0, [game.home.id]: 0 };
+      for (const picks of Object.values(slate.picks)) {
+        if (picks[eventId] in counts) counts[picks[eventId]]++;
+      }
+
+      const awayLabel = slate.ats ? `${game.away.abbreviation} ${this.formatLine(-game.homeLine)}` : game.away.abbreviation;
+      const homeLabel = slate.ats ? `${game.home.abbreviation} ${this.formatLine(game.homeLine)}` : game.home.abbreviation;
+
+      let status = `<t:${Math.floor(game.startTime / 1000)}:f>`;
+      if (game.status === 'locked') status = '🔒 In progress';
+      if (game.status === 'graded') {
+        const correct = slate.ats ? game.coverId : game.winnerId;
+        const result = correct ? `✅ ${[game.away, game.home].find(t => t.id === correct).abbreviation}${slate.ats ? ' covers' : ' wins'}` : (slate.ats ? '➖ Push' : '➖ Tie');
+        status = `Final: ${game.away.abbreviation} ${game.awayScore} - ${game.home.abbreviation} ${game.homeScore} • ${result}`;
+      }
+      if (game.status === 'void') status = `➖ ${game.voidReason}, picks don't count`;
+
+      embed.addFields({
+        name: `${awayLabel} @ ${homeLabel}`,
+        value: `${status}\nPicks: ${game.away.abbreviation} ${counts[game.away.id]} • ${game.home.abbreviation} ${counts[game.home.id]}`,
+        inline: false
+      });
+
+      if (index % 2 === 0) rows.push(new ActionRowBuilder());
+      for (const [team, label] of [[game.away, awayLabel], [game.home, homeLabel]]) {
+        rows[rows.length - 1].addComponents(
+          new ButtonBuilder()
+            .setCustomId(`pick_${slate.id}_${eventId}_${team.id}`)
+            .setLabel(label)
+            .setStyle(game.status === 'graded' && (slate.ats ? game.coverId : game.winnerId) === team.id ? ButtonStyle.Success : ButtonStyle.Secondary)
+            .setDisabled(game.status !== 'open')
+        );
+      }
+    });
+
+    return { embeds: [embed], components: rows };
+  }
+
+  /**
+   * Record a member's pick
+   */
+  makePick(guildId, slateId, eventId, teamId, userId) {
+    const slate = this.getGuildState(guildId).slates[slateId];
+    const game = slate?.games[eventId];
+    if (!game) {
+      return { success: false, message: 'That slate is no longer available.' };
+    }
+    if (game.status !== 'open' || game.startTime <= Date.now()) {
+      return { success: false, message: 'Picks for that game are locked.' };
+    }
+
+    stateStore.update('pickem', () => {
+      slate.picks[userId] = { ...slate.picks[userId], [eventId]: teamId };
+    });
+
+    const team = [game.away, game.home].find(t => t.id === teamId);
+    const line = slate.ats ? ` ${this.formatLine(team === game.home ? game.homeLine : -game.homeLine)}` : '';
+    return { success: true, message: `You picked **${team.name}${line}**.`, slate };
+  }
+
+  /**
+   * Refresh the slate message holding a game
+   */
+  async refreshMessage(slate, eventId) {
+    const entry = slate.messages.find(m => m.eventIds.includes(eventId));
+    if (!entry) return;
+
+    try {
+      const channel = await this.client.channels.fetch(slate.channelId);
+      const message = await channel.messages.fetch(entry.id);
+      await message.edit(this.buildSlateMessage(slate, entry.eventIds));
+    } catch (error) {
+      console.error(`Error updating pick'em slate ${slate.id}:`, error.message);
+    }
+  }
+
+  /**
+   * Lock started games and grade finished ones
+   * @param {Array} scoreboards - [{ sportInfo, events }] from the score center poll
+   */
+  async update(scoreboards) {
+    const events = new Map();
+    for (const { events: leagueEvents } of scoreboards) {
+      // Leagues that failed to load this tick are null
+      (leagueEvents || []).forEach(event => events.set(event.id, event));
+    }
+
+    let summaryLookups = 0;
+    let graded = false;
+    for (const { slate } of this.getOpenSlates()) {
+      const changed = new Set();
+
+      for (const [eventId, game] of Object.entries(slate.games)) {
+        if (game.status === 'graded' || game.status === 'void') continue;
+
+        let competition = events.get(eventId)?.competitions[0];
+        if (!competition && Date.now() - game.startTime > SUMMARY_GRADE_AFTER && summaryLookups < 5) {
+          summaryLookups++;
+          const leagueInfo = leagueRegistry.getLeague(slate.league);
+          const summary = await espnAPI.getGameSummary(leagueInfo.sport, leagueInfo.league, eventId).catch(() => null);
+          competition = summary?.header?.competitions?.[0];
+        }
+        // Partial summaries can lack the header or status; try again next tick
+        if (!competition?.status?.type) continue;
+
+        const state = competition.status.type.state;
+        if (state === 'in' && game.status === 'open') {
+          game.status = 'locked';
+          changed.add(eventId);
+        } else if (state === 'post' && competition.status.type.completed) {
+          this.grade(game, competition);
+          changed.add(eventId);
+        } else if (state === 'post') {
+          // ESPN reports postponed and canceled games as over too; they count for nobody
+          game.status = 'void';
+          game.voidReason = competition.status.type.description || 'Canceled';
+          changed.add(eventId);
+        }
+      }
+
+      if (changed.size > 0) graded = true;
+      for (const entry of slate.messages.filter(m => m.eventIds.some(id => changed.has(id)))) {
+        await this.refreshMessage(slate, entry.eventIds[0]);
+      }
+    }
+
+    if (graded) stateStore.scheduleSave();
+  }
+
+  /**
+   * Record a final result: the winner and, with a line, who covered
+   */
+  grade(game, competition) {
+    const score = side => Number(competition.competitors.find(t => t.homeAway === side).score || 0);
+    game.awayScore = score('away');
+    game.homeScore = score('home');
+    game.winnerId = game.homeScore > game.awayScore ? game.home.id : game.awayScore > game.homeScore ? game.away.id : null;
+
+    if (game.homeLine !== null) {
+      const margin = game.homeScore + game.homeLine - game.awayScore;
+      game.coverId = margin > 0 ? game.home.id : margin < 0 ? game.away.id : null;
+    }
+    game.status = 'graded';
+  }
+
+  /**
+   * Leaderboard for a league's latest week or whole season
+   * @param {string} scope - 'week' or 'season'
+   * @returns {object|null} { label, rows: [{ userId, correct, graded }] } or null without slates
+   */
+  getLeaderboard(guildId, leagueKey, scope = 'week') {
+    const slates = Object.values(this.getGuildState(guildId).slates).filter(s => s.league === leagueKey);
+    if (slates.length === 0) return null;
+
+    const slateStart = slate => Math.min(...Object.values(slate.games).map(g => g.startTime));
+    const latest = slates.reduce((a, b) => (slateStart(b) > slateStart(a) ? b : a));
+    const included = scope === 'week'
+      ? slates.filter(s => s.season === latest.season && s.week === latest.week)
+      : slates.filter(s => s.season === latest.season);
+
+    const totals = new Map();
+    for (const slate of included) {
+      for (const [userId, picks] of Object.entries(slate.picks)) {
+        const row = totals.get(userId) || { userId, correct: 0, graded: 0 };
+        for (const [eventId, teamId] of Object.entries(picks)) {
+          const game = slate.games[eventId];
+          const answer = slate.ats ? game?.coverId : game?.winnerId;
+          // Pushes and ties don't count either way
+          if (game?.status !== 'graded' || !answer) continue;
+          row.graded++;
+          if (teamId === answer) row.correct++;
+        }
+        totals.set(userId, row);
+      }
+    }
+
+    const rows = [...totals.values()].sort((a, b) =>
+      b.correct - a.correct || (b.correct / (b.graded || 1)) - (a.correct / (a.graded || 1))
+    );
+    return { label: scope === 'week' ? latest.weekLabel : `${latest.season} Season`, rows };
+  }
+
+  /**
+   * A member's picks on slates that still have games to play
+   * @returns {Array<string>} Lines describing each pick
+   */
+  getOpenPicks(guildId, userId) {
+    const lines = [];
+    for (const slate of Object.values(this.getGuildState(guildId).slates)) {
+      for (const [eventId, teamId] of Object.entries(slate.picks[userId] || {})) {
+        const game = slate.games[eventId];
+        if (game.status === 'graded' || game.status === 'void') continue;
+        const team = [game.away, game.home].find(t => t.id === teamId);
+        const line = slate.ats ? ` ${this.formatLine(team === game.home ? game.homeLine : -game.homeLine)}` : '';
+        lines.push(`${game.status === 'locked' ? '🔒' : '🕒'} ${game.away.abbreviation} @ ${game.home.abbreviation}: **${team.abbreviation}${line}**`);
+      }
+    }
+    return lines;
+  }
+}
+
+export default new PickemManager();
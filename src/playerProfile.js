@@ -0,0 +1,215 @@
+import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+
+// Games per game log page
+const GAME_LOG_PAGE_SIZE = 8;
+
+// ESPN game dates are US Eastern
+const GAME_LOG_TIME_ZONE = 'America/New_York';
+
+/**
+ * Standard stat lines by sport and position group. Labels are ESPN's; the
+ * first group whose positions include the player's position is used.
+ */
+const STAT_LINES = {
+  baseball: [
+    { positions: ['SP', 'RP', 'P', 'CL'], labels: ['GP', 'W', 'L', 'SV', 'IP', 'ERA', 'K', 'WHIP'] },
+    { positions: null, labels: ['G', 'AB', 'AVG', 'H', 'HR', 'RBI', 'R', 'SB', 'OBP', 'OPS'] }
+  ],
+  hockey: [
+    { positions: ['G'], labels: ['GP', 'W', 'L', 'OTL', 'GAA', 'SV%', 'SO'] },
+    { positions: null, labels: ['GP', 'G', 'A', 'PTS', '+/-', 'PIM', 'SOG'] }
+  ],
+  football: [
+    { positions: ['QB'], labels: ['CMP', 'ATT', 'YDS', 'CMP%', 'TD', 'INT', 'RTG'] },
+    { positions: ['RB', 'FB'], labels: ['CAR', 'YDS', 'AVG', 'TD', 'REC', 'LNG'] },
+    { positions: ['WR', 'TE'], labels: ['REC', 'TGTS', 'YDS', 'AVG', 'TD', 'LNG'] },
+    { positions: ['K', 'PK'], labels: ['FGM', 'FGA', 'FG%', 'LNG', 'XPM', 'PTS'] },
+    { positions: ['P'], labels: ['PUNTS', 'YDS', 'AVG', 'LNG', 'IN20'] },
+    { positions: null, labels: ['TOT', 'SOLO', 'SACK', 'TFL', 'PD', 'INT', 'FF'] }
+  ],
+  basketball: [
+    { positions: null, labels: ['GP', 'MIN', 'PTS', 'REB', 'AST', 'STL', 'BLK', 'FG%', '3P%'] }
+  ],
+  soccer: [
+    { positions: ['G', 'GK'], labels: ['STRT', 'SV', 'GA', 'CS'] },
+    { positions: null, labels: ['STRT', 'G', 'A', 'SH', 'ST', 'YC', 'RC'] }
+  ]
+};
+
+/**
+ * Player Profile Formatter
+ * Builds /player embeds: bio with the season stat line, and a paged game log
+ */
+class PlayerProfileFormatter {
+  /**
+   * Preferred stat labels for a player's sport and position
+   */
+  getStatLine(sport, position) {
+    const lines = STAT_LINES[sport] || [];
+    return (lines.find(line => !line.positions || line.positions.includes(position)) || { labels: [] }).labels;
+  }
+
+  /**
+   * Indexes of the columns to show, in stat line order. Falls back to the first
+   * columns when ESPN labels the stats differently than expected.
+   */
+  pickColumns(labels, preferred, max = 8) {
+    const columns = preferred.map(label => labels.indexOf(label)).filter(index => index !== -1);
+    if (columns.length >= 3) return columns.slice(0, max);
+    return labels.slice(0, max).map((_, index) => index);
+  }
+
+  /**
+   * Two-row code block table: labels over values
+   */
+  statTable(labels, values, columns) {
+    const cells = columns.map(index => {
+      const label = String(labels[index]);
+      const value = String(values[index] ?? '-');
+      const width = Math.max(label.length, value.length) + 1;
+      return [label.padStart(width), value.padStart(width)];
+    });
+    return ['```', cells.map(c => c[0]).join(''), cells.map(c => c[1]).join(''), '```'].join('\n');
+  }
+
+  /**
+   * Bio, team and current season stat line
+   */
+  buildProfile(athleteData, overviewData, sport, leagueInfo) {
+    const athlete = athleteData.athlete || athleteData;
+    const position = athlete.position?.abbreviation;
+    const team = athlete.team;
+
+    const embed = new EmbedBuilder()
+      .setColor(team?.color ? `#${team.color}` : '#0099ff')
+      .setTitle(`${athlete.displayName}${athlete.jersey ? ` #${athlete.jersey}` : ''}`)
+      .setDescription([athlete.position?.displayName, team?.displayName].filter(Boolean).join(' • ') || null)
+      .setTimestamp()
+      .setFooter({ text: `${leagueInfo.name} • ESPN` });
+
+    if (athlete.headshot?.href) embed.setThumbnail(athlete.headshot.href);
+    if (athlete.links?.[0]?.href) embed.setURL(athlete.links[0].href);
+
+    const birthPlace = [athlete.birthPlace?.city, athlete.birthPlace?.state || athlete.birthPlace?.country].filter(Boolean).join(', ');
+    const bio = [
+      athlete.age && `**Age:** ${athlete.age}`,
+      (athlete.displayHeight || athlete.displayWeight) && `**Size:** ${[athlete.displayHeight, athlete.displayWeight].filter(Boolean).join(', ')}`,
+      birthPlace && `**Born:** ${birthPlace}`,
+      athlete.college?.name && `**College:** ${athlete.college.name}`,
+      athlete.experience?.years !== undefined && `**Experience:** ${athlete.experience.years} yr${athlete.experience.years === 1 ? '' : 's'}`,
+      athlete.status?.type && athlete.status.type !== 'active' && `**Status:** ${athlete.status.name || athlete.status.type}`
+    ].filter(Boolean);
+
+    if (bio.length > 0) {
+      embed.addFields({ name: 'Bio', value: bio.join('\n'), inline: false });
+    }
+
+    const statistics = overviewData?.statistics;
+    if (statistics?.labels?.length && statistics.splits?.length) {
+      const columns = this.pickColumns(statistics.labels, this.getStatLine(sport, position));
+      for (const split of statistics.splits.slice(0, 2)) {
+        embed.addFields({
+          name: split.displayName || 'Stats',
+          value: this.statTable(statistics.labels, split.stats, columns),
+          inline: false
+        });
+      }
+    } else {
+      embed.addFields({ name: 'Stats', value: 'No stats recorded this season.', inline: false });
+    }
+
+    return embed;
+  }
+
+  /**
+   * Games in a game log, most recent first
+   * @returns {Array} [{ date, matchup, result, stats }]
+   */
+  parseGameLog(gameLogData) {
+    const events = gameLogData.events || {};
+    const games = [];
+
+    for (const seasonType of gameLogData.seasonTypes || []) {
+      for (const category of seasonType.categories || []) {
+        for (const entry of category.events || []) {
+          const event = events[entry.eventId];
+          if (!event) continue;
+          games.push({
+            date: new Date(event.gameDate),
+            matchup: `${event.atVs || 'vs'} ${event.opponent?.abbreviation || '?'}`,
+            result: [event.gameResult, event.score].filter(Boolean).join(' '),
+            stats: entry.stats || []
+          });
+        }
+      }
+    }
+
+    return games.sort((a, b) => b.date - a.date);
+  }
+
+  getGameLogPageCount(gameLogData) {
+    return Math.max(1, Math.ceil(this.parseGameLog(gameLogData).length / GAME_LOG_PAGE_SIZE));
+  }
+
+  /**
+   * One page of the game log as a table
+   */
+  buildGameLog(athleteData, gameLogData, sport, leagueInfo, page = 0) {
+    const athlete = athleteData.athlete || athleteData;
+    const games = this.parseGameLog(gameLogData);
+    const pageCount = Math.max(1, Math.ceil(games.length / GAME_LOG_PAGE_SIZE));
+    const pageGames = games.slice(page * GAME_LOG_PAGE_SIZE, (page + 1) * GAME_LOG_PAGE_SIZE);
+
+    const embed = new EmbedBuilder()
+      .setColor(athlete.team?.color ? `#${athlete.team.color}` : '#0099ff')
+      .setTitle(`${athlete.displayName} Game Log`)
+      .setTimestamp()
+      .setFooter({ text: `Page ${page + 1} of ${pageCount} • ${leagueInfo.name} • ESPN` });
+
+    if (athlete.headshot?.href) embed.setThumbnail(athlete.headshot.href);
+
+    if (pageGames.length === 0) {
+      embed.setDescription('No games played this season.');
+      return embed;
+    }
+
+    const labels = gameLogData.labels || [];
+    const columns = this.pickColumns(labels, this.getStatLine(sport, athlete.position?.abbreviation), 5);
+    const widths = columns.map(index => Math.max(String(labels[index]).length, ...pageGames.map(g => String(g.stats[index] ?? '-').length)) + 1);
+
+    const header = 'DATE  OPP     RESULT    ' + columns.map((index, i) => String(labels[index]).padStart(widths[i])).join('');
+    const rows = pageGames.map(game => {
+      const date = game.date.toLocaleDateString('en-US', { month: 'numeric', day: 'numeric', timeZone: GAME_LOG_TIME_ZONE }).padEnd(6);
+      return date + game.matchup.padEnd(8).slice(0, 8) + game.result.padEnd(10).slice(0, 10)
+        + columns.map((index, i) => String(game.stats[index] ?? '-').padStart(widths[i])).join('');
+    });
+
+    embed.setDescription(['```', header, ...rows, '```'].join('\n'));
+    return embed;
+  }
+
+  /**
+   * Buttons for the profile (open game log) or a game log page (prev/next/back)
+   * @param {number|null} page - Game log page being shown, null for the profile
+   */
+  buildButtons(sportValue, athleteId, page = null, pageCount = 0) {
+    const id = action => `player_${action}_${sportValue}_${athleteId}`;
+    const row = new ActionRowBuilder();
+
+    if (page === null) {
+      row.addComponents(
+        new ButtonBuilder().setCustomId(id('log-0')).setLabel('Game Log').setEmoji('📋').setStyle(ButtonStyle.Primary)
+      );
+      return [row];
+    }
+
+    row.addComponents(
+      new ButtonBuilder().setCustomId(id(`log-${page - 1}`)).setLabel('◀ Newer').setStyle(ButtonStyle.Secondary).setDisabled(page <= 0),
+      new ButtonBuilder().setCustomId(id(`log-${page + 1}`)).setLabel('Older ▶').setStyle(ButtonStyle.Secondary).setDisabled(page >= pageCount - 1),
+      new ButtonBuilder().setCustomId(id('profile')).setLabel('Profile').setStyle(ButtonStyle.Primary)
+    );
+    return [row];
+  }
+}
+
+export default new PlayerProfileFormatter();
@@ -0,0 +1,212 @@
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import espnAPI from './espnAPI.js';
+import leagueRegistry from './leagues.js';
+import stateStore from './stateStore.js';
+import jobScheduler from './jobScheduler.js';
+import { isValidTimezone, getZonedParts } from './timezone.js';
+
+const DEFAULT_SETTINGS = {
+  minutes: 30, // how long before start to send the DM
+  timezone: 'America/New_York',
+  quietStart: 23, // quiet hours, local hour of day; equal start and end turns them off
+  quietEnd: 8
+};
+
+// A reminder whose game moved more than this much later is rescheduled instead of sent
+const RESCHEDULE_SLACK = 5 * 60 * 1000;
+
+/**
+ * Reminder Manager
+ * Personal DM reminders before a game starts. Reminders are persisted jobs;
+ * one that would land in the member's quiet hours is sent just before the
+ * quiet hours begin instead.
+ */
+class ReminderManager {
+  constructor() {
+    this.client = null;
+
+    jobScheduler.register('gameReminder', job => this.sendReminder(job));
+  }
+
+  async restore(client) {
+    this.client = client;
+  }
+
+  /**
+   * A member's reminder settings, falling back to defaults
+   */
+  getSettings(userId) {
+    return { ...DEFAULT_SETTINGS, ...stateStore.get('reminderSettings')[userId] };
+  }
+
+  /**
+   * Update a member's reminder settings
+   * @param {object} changes - { minutes, timezone, quietStart, quietEnd }
+   */
+  updateSettings(userId, changes) {
+    if (changes.timezone && !isValidTimezone(changes.timezone)) {
+      return { success: false, message: `Unknown timezone "${changes.timezone}". Use a name like America/Los_Angeles or Europe/London.` };
+    }
+
+    stateStore.update('reminderSettings', settings => {
+      settings[userId] = { ...settings[userId], ...changes };
+    });
+
+    return { success: true, message: 'Reminder settings updated.', settings: this.getSettings(userId) };
+  }
+
+  /**
+   * Move a send time out of quiet hours, to just before they start
+   */
+  applyQuietHours(sendAt, settings) {
+    const { quietStart, quietEnd, timezone } = settings;
+    if (quietStart === quietEnd) return sendAt;
+
+    const { hour, minute } = getZonedParts(sendAt, timezone);
+    const local = hour * 60 + minute;
+    const start = quietStart * 60;
+    const end = quietEnd * 60;
+    const inQuietHours = start < end ? local >= start && local < end : local >= start || local < end;
+    if (!inQuietHours) return sendAt;
+
+    const minutesIntoQuiet = (local - start + 1440) % 1440;
+    return sendAt - (minutesIntoQuiet + 1) * 60000;
+  }
+
+  /**
+   * A member's pending reminders, soonest first
+   */
+  getReminders(userId) {
+    return jobScheduler.getJobs()
+      .filter(job => job.type === 'gameReminder' && job.data.userId === userId)
+      .sort((a, b) => a.data.startTime - b.data.startTime);
+  }
+
+  /**
+   * Set a reminder for a game
+   * @param {string} userId - Discord user ID
+   * @param {string} sportValue - League value, e.g. 'football/nfl'
+   * @param {string} eventId - ESPN event ID
+   */
+  async addReminder(userId, sportValue, eventId) {
+    if (this.getReminders(userId).some(job => job.data.eventId === eventId)) {
+      return { success: false, message: 'You already have a reminder for that game.' };
+    }
+
+    const [sport, league] = sportValue.split('/');
+    const game = await this.getGame(sport, league, eventId);
+    if (!game) {
+      return { success: false, message: "Couldn't find that game." };
+    }
+    if (game.state !== 'pre') {
+      return { success: false, message: 'That game has already started.' };
+    }
+
+    const settings = this.getSettings(userId);
+    const sendAt = this.applyQuietHours(game.startTime - settings.minutes * 60000, settings);
+    if (sendAt <= Date.now()) {
+      return { success: false, message: `**${game.name}** starts <t:${Math.floor(game.startTime / 1000)}:R>, too soon for a reminder.` };
+    }
+
+    jobScheduler.schedule('gameReminder', sendAt - Date.now(), {
+      userId, sport, league, eventId, name: game.name, startTime: game.startTime
+    });
+
+    const early = sendAt < game.startTime - settings.minutes * 60000;
+    return {
+      success: true,
+      message: `⏰ I'll DM you about **${game.name}** <t:${Math.floor(sendAt / 1000)}:R>${early ? ' (moved earlier to stay out of your quiet hours)' : ''}.`
+    };
+  }
+
+  /**
+   * Cancel one of a member's reminders
+   */
+  cancelReminder(userId, jobId) {
+    const job = this.getReminders(userId).find(j => j.id === jobId);
+    if (!job) {
+      return { success: false, message: 'No reminder found.' };
+    }
+
+    jobScheduler.cancel(job.id);
+    return { success: true, message: `Cancelled your reminder for **${job.data.name}**.` };
+  }
+
+  /**
+   * Start time and state of a game from its summary
+   * @returns {Promise<object|null>} { name, startTime, state }
+   */
+  async getGame(sport, league, eventId) {
+    try {
+      const summary = await espnAPI.getGameSummary(sport, league, eventId);
+      const competition = summary.header.competitions[0];
+      const home = competition.competitors.find(t => t.homeAway === 'home');
+      const away = competition.competitors.find(t => t.homeAway === 'away');
+      return {
+        name: `${away.team.displayName} @ ${home.team.displayName}`,
+        startTime: new Date(competition.date).getTime(),
+        state: competition.status.type.state
+      };
+    } catch (error) {
+      console.error(`Error fetching game ${eventId} for reminder:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Send a reminder DM (scheduled job)
+   * Games that were postponed get the reminder moved; finished or cancelled games are dropped.
+   */
+  async sendReminder(job) {
+    const { userId, sport, league, eventId } = job.data;
+    const settings = this.getSettings(userId);
+    const game = await this.getGame(sport, league, eventId);
+    let { name, startTime } = job.data;
+
+    if (game) {
+      if (game.state === 'post') return;
+      if (game.startTime > job.data.startTime + RESCHEDULE_SLACK) {
+        const sendAt = this.applyQuietHours(game.startTime - settings.minutes * 60000, settings);
+        jobScheduler.schedule('gameReminder', sendAt - Date.now(), { ...job.data, startTime: game.startTime });
+        return;
+      }
+      ({ name, startTime } = game);
+    }
+
+    const leagueInfo = leagueRegistry.getLeague(`${sport}/${league}`);
+    const user = await this.client.users.fetch(userId);
+    await user.send(`⏰ ${leagueInfo?.emoji || ''} **${name}** starts <t:${Math.floor(startTime / 1000)}:R> (<t:${Math.floor(startTime / 1000)}:t>).`);
+  }
+
+  /**
+   * "Remind me" buttons for upcoming games
+   * @param {Array} events - ESPN scoreboard events
+   * @param {number} maxRows - Rows left in the message
+   */
+  buildButtons(sportValue, events, maxRows = 2) {
+    // Team schedules carry the status on the competition, scoreboards on the event
+    const upcoming = events
+      .filter(event => (event.status || event.competitions[0].status).type.state === 'pre')
+      .slice(0, maxRows * 5);
+    const rows = [];
+
+    upcoming.forEach((event, index) => {
+      if (index % 5 === 0) rows.push(new ActionRowBuilder());
+      const competition = event.competitions[0];
+      const home = competition.competitors.find(t => t.homeAway === 'home');
+      const away = competition.competitors.find(t => t.homeAway === 'away');
+
+      rows[rows.length - 1].addComponents(
+        new ButtonBuilder()
+          .setCustomId(`remind_${sportValue}_${event.id}`)
+          .setLabel(`${away.team.abbreviation} @ ${home.team.abbreviation}`)
+          .setEmoji('⏰')
+          .setStyle(ButtonStyle.Secondary)
+      );
+    });
+
+    return rows;
+  }
+}
+
+export default new ReminderManager();
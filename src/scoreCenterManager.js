@@ -1,137 +1,193 @@
 import { ChannelType, PermissionFlagsBits } from 'discord.js';
 import espnAPI from './espnAPI.js';
+import leagueRegistry from './leagues.js';
+import stateStore from './stateStore.js';
+import jobScheduler from './jobScheduler.js';
+
+// Discord allows two channel name/topic edits per channel every 10 minutes
+const CHANNEL_EDIT_LIMIT = 2;
+const CHANNEL_EDIT_WINDOW = 600000;
+
+// Settings used until a guild runs /scorecenter config
+const DEFAULT_CONFIG = {
+  leagues: leagueRegistry.getLeagues('scoreCenter').map(l => l.key),
+  teams: [], // abbreviations, ids or names; empty mirrors every team
+  ranked: 'off', // off, either (at least one ranked team) or both
+  includePregame: true,
+  pregameHours: null, // null mirrors every upcoming game on the scoreboard
+  categoryName: '{emoji} {league} Live Scores',
+  categoryPosition: 'top', // top or bottom
+  finalMinutes: 60 // how long finals stay before their channel is deleted
+};
+
+// Valid values for each config field, with the message shown otherwise.
+// The slash command's options already enforce these; the dashboard API relies on them.
+const CONFIG_RULES = {
+  teams: [value => Array.isArray(value) && value.every(team => typeof team === 'string'), 'Teams must be a list of names.'],
+  ranked: [value => ['off', 'either', 'both'].includes(value), 'Ranked must be off, either or both.'],
+  includePregame: [value => typeof value === 'boolean', 'Pregame must be true or false.'],
+  pregameHours: [value => value === null || (Number.isInteger(value) && value >= 1 && value <= 48), 'Pregame hours must be 1 to 48, or empty for any time today.'],
+  categoryName: [value => typeof value === 'string' && value.trim().length > 0 && value.length <= 90, 'Category name must be 1 to 90 characters.'],
+  categoryPosition: [value => ['top', 'bottom'].includes(value), 'Category position must be top or bottom.'],
+  finalMinutes: [value => Number.isInteger(value) && value >= 0 && value <= 1440, 'Final minutes must be 0 to 1440.']
+};
 
 /**
- * Score Center Manager
- * Creates and manages live score channels organized by sport categories
+ * Guild Score Center
+ * One guild's score center: its categories and game channels
  */
-class ScoreCenterManager {
-  constructor() {
-    this.activeGames = new Map(); // gameId -> { channelId, categoryId, sport, league }
-    this.categories = new Map(); // sport -> categoryId
-    this.updateInterval = null;
-    this.guildId = null;
-    this.client = null;
+class GuildScoreCenter {
+  constructor(guildId, saved = {}) {
+    this.guildId = guildId;
+    this.activeGames = new Map(Object.entries(saved.games || {})); // gameId -> { channelId, categoryId, sport, league, label, status, cleanupJobId }
+    this.categories = new Map(Object.entries(saved.categories || {})); // sport -> categoryId
   }
 
   /**
-   * Initialize the score center
+   * Forget channels that were deleted while the bot was offline
    */
-  async initialize(client, guildId) {
-    this.client = client;
-    this.guildId = guildId;
+  reconcile(guild) {
+    for (const [sportName, categoryId] of this.categories.entries()) {
+      if (!guild.channels.cache.has(categoryId)) {
+        this.categories.delete(sportName);
+      }
+    }
+    for (const [gameId, gameInfo] of this.activeGames.entries()) {
+      if (!guild.channels.cache.has(gameInfo.channelId)) {
+        jobScheduler.cancel(gameInfo.cleanupJobId);
+        this.activeGames.delete(gameId);
+      }
+    }
   }
 
   /**
-   * Start the score center in a guild
+   * Serializable state for persistence
    */
-  async startScoreCenter(guild) {
-    if (this.updateInterval) {
-      return { success: false, message: 'Score center is already running!' };
-    }
-
-    try {
-      this.guildId = guild.id;
-      
-      // Initial scan and setup
-      await this.scanAndUpdateGames(guild);
-      
-      // Update every 30 seconds
-      this.updateInterval = setInterval(async () => {
-        await this.scanAndUpdateGames(guild);
-      }, 30000);
-
-      return { success: true, message: 'Score center started! Categories and channels will be created for active games.' };
-    } catch (error) {
-      console.error('Error starting score center:', error);
-      return { success: false, message: 'Failed to start score center.' };
-    }
+  toJSON() {
+    return {
+      categories: Object.fromEntries(this.categories),
+      games: Object.fromEntries(this.activeGames)
+    };
   }
 
   /**
-   * Stop the score center
+   * Whether a game should have a channel under this guild's config
    */
-  async stopScoreCenter(guild) {
-    if (!this.updateInterval) {
-      return { success: false, message: 'Score center is not running.' };
+  shouldMirror(event, config) {
+    const state = event.status.type.state;
+
+    // Keep finals we already have a channel for until their cleanup runs
+    if (state === 'post') return this.activeGames.has(event.id);
+
+    if (state === 'pre') {
+      if (!config.includePregame) return false;
+      if (config.pregameHours && new Date(event.date) - Date.now() > config.pregameHours * 3600000) return false;
+    } else if (state !== 'in') {
+      return false;
     }
 
-    clearInterval(this.updateInterval);
-    this.updateInterval = null;
+    const competitors = event.competitions[0].competitors;
 
-    // Clean up channels and categories
-    await this.cleanup(guild);
+    if (config.teams.length > 0) {
+      const followed = competitors.some(c => [c.team.id, c.team.abbreviation, c.team.displayName, c.team.shortDisplayName]
+        .some(value => value && config.teams.includes(String(value).toLowerCase())));
+      if (!followed) return false;
+    }
 
-    return { success: true, message: 'Score center stopped and cleaned up.' };
+    if (config.ranked !== 'off') {
+      // ESPN marks unranked teams with 99
+      const rankedCount = competitors.filter(c => c.curatedRank?.current >= 1 && c.curatedRank.current <= 25).length;
+      if (rankedCount < (config.ranked === 'both' ? 2 : 1)) return false;
+    }
+
+    return true;
   }
 
   /**
-   * Scan for active games across all sports and update channels
+   * Mirror the latest scoreboards into this guild's channels
+   * @param {Guild} guild - Discord guild
+   * @param {Array} scoreboards - [{ sportInfo, events }] from the shared poll; events is null when a league failed to load
+   * @param {object} config - This guild's score center config
    */
-  async scanAndUpdateGames(guild) {
-    try {
-      const sports = [
-        { name: 'NFL', sport: 'football', league: 'nfl', emoji: '🏈' },
-        { name: 'NBA', sport: 'basketball', league: 'nba', emoji: '🏀' },
-        { name: 'NHL', sport: 'hockey', league: 'nhl', emoji: '🏒' },
-        { name: 'MLB', sport: 'baseball', league: 'mlb', emoji: '⚾' }
-      ];
+  async update(guild, scoreboards, config) {
+    const activeGameIds = new Set();
+
+    // Drop categories for leagues the guild no longer follows
+    const configuredNames = leagueRegistry.getLeagues()
+      .filter(l => config.leagues.includes(l.key))
+      .map(l => l.name);
+    for (const sportName of [...this.categories.keys()]) {
+      if (!configuredNames.includes(sportName)) {
+        await this.removeCategory(guild, sportName);
+      }
+    }
 
-      const activeGameIds = new Set();
+    for (const { sportInfo, events } of scoreboards) {
+      if (!config.leagues.includes(sportInfo.key)) continue;
 
-      for (const sportInfo of sports) {
-        try {
-          const scoreboardData = await espnAPI.getScoreboard(sportInfo.sport, sportInfo.league);
-          
-          if (!scoreboardData.events || scoreboardData.events.length === 0) {
-            // No games for this sport, remove category if it exists
-            await this.removeCategory(guild, sportInfo.name);
-            continue;
-          }
+      // A failed fetch says nothing about the games; keep their channels until the next good tick
+      if (events === null) {
+        for (const [gameId, gameInfo] of this.activeGames.entries()) {
+          if (gameInfo.sport === sportInfo.sport && gameInfo.league === sportInfo.league) activeGameIds.add(gameId);
+        }
+        continue;
+      }
 
-          // Filter for live/in-progress games
-          const liveGames = scoreboardData.events.filter(event => {
-            const state = event.status.type.state;
-            return state === 'in' || state === 'pre';
-          });
+      try {
+        if (events.length === 0) {
+          // No games for this sport, remove category if it exists
+          await this.removeCategory(guild, sportInfo.name);
+          continue;
+        }
 
-          if (liveGames.length === 0) {
-            // No live games, remove category
-            await this.removeCategory(guild, sportInfo.name);
-            continue;
-          }
+        // Filter for the live/upcoming games this guild wants
+        const liveGames = events.filter(event => this.shouldMirror(event, config));
 
-          // Get or create category for this sport
-          const category = await this.getOrCreateCategory(guild, sportInfo.name, sportInfo.emoji);
+        if (liveGames.length === 0) {
+          // No live games, remove category
+          await this.removeCategory(guild, sportInfo.name);
+          continue;
+        }
 
-          // Update channels for each live game
-          for (const game of liveGames) {
-            activeGameIds.add(game.id);
-            await this.updateGameChannel(guild, category, game, sportInfo);
-          }
-        } catch (error) {
-          console.error(`Error processing ${sportInfo.name}:`, error);
+        // Get or create category for this sport
+        const category = await this.getOrCreateCategory(guild, sportInfo, config);
+
+        // Update channels for each live game
+        for (const game of liveGames) {
+          activeGameIds.add(game.id);
+          await this.updateGameChannel(guild, category, game, sportInfo, config);
         }
+      } catch (error) {
+        console.error(`Error processing ${sportInfo.name} for guild ${this.guildId}:`, error);
       }
-
-      // Clean up channels for games that are no longer active
-      await this.cleanupInactiveGames(guild, activeGameIds);
-    } catch (error) {
-      console.error('Error scanning games:', error);
     }
+
+    // Clean up channels for games that are no longer active
+    await this.cleanupInactiveGames(guild, activeGameIds);
   }
 
   /**
    * Get or create a category for a sport
    */
-  async getOrCreateCategory(guild, sportName, emoji) {
-    const categoryName = `${emoji} ${sportName} Live Scores`;
+  async getOrCreateCategory(guild, sportInfo, config) {
+    const sportName = sportInfo.name;
+    const categoryName = config.categoryName
+      .replace('{emoji}', sportInfo.emoji)
+      .replace('{league}', sportName)
+      .trim()
+      .slice(0, 100);
     
     // Check if category already exists in our map
     if (this.categories.has(sportName)) {
       const categoryId = this.categories.get(sportName);
       const category = guild.channels.cache.get(categoryId);
-      if (category) return category;
+      if (category) {
+        // Pick up naming changes from /scorecenter config
+        if (category.name !== categoryName) {
+          await category.setName(categoryName);
+        }
+        return category;
+      }
     }
 
     // Search for existing category
@@ -141,10 +197,11 @@ class ScoreCenterManager {
 
     if (!category) {
       // Create new category
+      // Leaving position unset puts the category at the bottom
       category = await guild.channels.create({
         name: categoryName,
         type: ChannelType.GuildCategory,
-        position: 0 // Put at top
+        ...(config.categoryPosition === 'top' ? { position: 0 } : {})
       });
     }
 
@@ -186,7 +243,7 @@ class ScoreCenterManager {
   /**
    * Update or create a channel for a game
    */
-  async updateGameChannel(guild, category, game, sportInfo) {
+  async updateGameChannel(guild, category, game, sportInfo, config) {
     try {
       const competition = game.competitions[0];
       const homeTeam = competition.competitors.find(t => t.homeAway === 'home');
@@ -195,9 +252,15 @@ class ScoreCenterManager {
       const awayScore = awayTeam.score || 0;
       const homeScore = homeTeam.score || 0;
       const status = game.status.type.detail;
+      const state = game.status.type.state;
       
       // Create channel name: "away-vs-home-score"
       const channelName = `${awayTeam.team.abbreviation}-${awayScore}-${homeScore}-${homeTeam.team.abbreviation}`.toLowerCase();
+      const topic = `${awayTeam.team.displayName} @ ${homeTeam.team.displayName} | ${status}`;
+      const messageText = `**${awayTeam.team.displayName}** ${awayScore} - ${homeScore} **${homeTeam.team.displayName}**\n${status}`;
+
+      // Period/state changes are worth a channel edit; clock ticks are not
+      const statusKey = `${state}|${game.status.period ?? ''}`;
 
       let channel;
       
@@ -213,7 +276,7 @@ class ScoreCenterManager {
           name: channelName,
           type: ChannelType.GuildText,
           parent: category.id,
-          topic: `${awayTeam.team.displayName} @ ${homeTeam.team.displayName} | ${status}`,
+          topic,
           permissionOverwrites: [
             {
               id: guild.id,
@@ -222,45 +285,121 @@ class ScoreCenterManager {
           ]
         });
 
-        // Send initial game info
-        await channel.send(`**${awayTeam.team.displayName}** ${awayScore} - ${homeScore} **${homeTeam.team.displayName}**\n${status}`);
+        // Send initial game info; this message is kept up to date below
+        const message = await channel.send(messageText);
 
         this.activeGames.set(game.id, {
           channelId: channel.id,
           categoryId: category.id,
           sport: sportInfo.sport,
-          league: sportInfo.league
+          league: sportInfo.league,
+          messageId: message.id,
+          messageText,
+          appliedName: channelName,
+          appliedStatusKey: statusKey,
+          edits: []
         });
       } else {
-        // Update existing channel name and topic
-        await channel.setName(channelName);
-        await channel.setTopic(`${awayTeam.team.displayName} @ ${homeTeam.team.displayName} | ${status}`);
+        const gameInfo = this.activeGames.get(game.id);
+        await this.applyChannelEdits(channel, gameInfo, { channelName, topic, statusKey, isFinal: state === 'post' });
+
+        // The in-channel message always shows the latest score and clock
+        if (gameInfo.messageText !== messageText) {
+          await this.updateScoreMessage(channel, gameInfo, messageText);
+        }
       }
 
+      // Remember what the channel shows for /scorecenter status
+      const gameInfo = this.activeGames.get(game.id);
+      gameInfo.label = `${awayTeam.team.abbreviation} ${awayScore} - ${homeScore} ${homeTeam.team.abbreviation}`;
+      gameInfo.status = status;
+
       // Check if game is final
-      const state = game.status.type.state;
-      if (state === 'post') {
-        // Game is over, schedule deletion
-        setTimeout(async () => {
-          try {
-            await channel.delete();
-            this.activeGames.delete(game.id);
-          } catch (error) {
-            console.error('Error deleting finished game channel:', error);
-          }
-        }, 3600000); // Delete after 1 hour
+      if (state === 'post' && !gameInfo.cleanupJobId) {
+        // Game is over, schedule deletion (persisted so it survives restarts)
+        gameInfo.cleanupJobId = jobScheduler.schedule('deleteScoreChannel', config.finalMinutes * 60000, {
+          guildId: guild.id,
+          gameId: game.id,
+          channelId: channel.id
+        });
       }
     } catch (error) {
       console.error('Error updating game channel:', error);
     }
   }
 
+  /**
+   * Rename a game channel within Discord's rename budget
+   * Discord allows two name/topic edits per channel every 10 minutes, so score
+   * changes and finals may spend the whole budget while period changes keep one
+   * edit in reserve. Edits that don't fit are retried on later ticks.
+   */
+  async applyChannelEdits(channel, gameInfo, { channelName, topic, statusKey, isFinal }) {
+    const scoreChanged = gameInfo.appliedName !== channelName;
+    const statusChanged = gameInfo.appliedStatusKey !== statusKey;
+    if (!scoreChanged && !statusChanged) return;
+
+    const now = Date.now();
+    gameInfo.edits = (gameInfo.edits || []).filter(time => now - time < CHANNEL_EDIT_WINDOW);
+    const remaining = CHANNEL_EDIT_LIMIT - gameInfo.edits.length;
+
+    const priority = scoreChanged || isFinal;
+    if (remaining <= 0 || (!priority && remaining < 2)) return;
+
+    // One edit call counts once against the budget, so name and topic go together
+    await channel.edit({ name: channelName, topic });
+    gameInfo.edits.push(now);
+    gameInfo.appliedName = channelName;
+    gameInfo.appliedStatusKey = statusKey;
+  }
+
+  /**
+   * Edit the score message inside a game channel, posting a new one if it's gone
+   */
+  async updateScoreMessage(channel, gameInfo, messageText) {
+    let message = null;
+    if (gameInfo.messageId) {
+      try {
+        message = await channel.messages.fetch(gameInfo.messageId);
+      } catch (error) {
+        message = null;
+      }
+    }
+
+    if (message) {
+      await message.edit(messageText);
+    } else {
+      message = await channel.send(messageText);
+      gameInfo.messageId = message.id;
+    }
+    gameInfo.messageText = messageText;
+  }
+
+  /**
+   * Delete a finished game's channel (scheduled job)
+   */
+  async deleteFinishedGame(guild, gameId, channelId) {
+    try {
+      const channel = guild?.channels.cache.get(channelId);
+      if (channel) {
+        await channel.delete();
+      }
+    } catch (error) {
+      console.error('Error deleting finished game channel:', error);
+    }
+
+    if (this.activeGames.get(gameId)?.channelId === channelId) {
+      this.activeGames.delete(gameId);
+    }
+  }
+
   /**
    * Clean up channels for games that are no longer active
    */
   async cleanupInactiveGames(guild, activeGameIds) {
     for (const [gameId, gameInfo] of this.activeGames.entries()) {
       if (!activeGameIds.has(gameId)) {
+        jobScheduler.cancel(gameInfo.cleanupJobId);
         try {
           const channel = guild.channels.cache.get(gameInfo.channelId);
           if (channel) {
@@ -281,6 +420,7 @@ class ScoreCenterManager {
     try {
       // Delete all game channels
       for (const gameInfo of this.activeGames.values()) {
+        jobScheduler.cancel(gameInfo.cleanupJobId);
         try {
           const channel = guild.channels.cache.get(gameInfo.channelId);
           if (channel) await channel.delete();
@@ -307,10 +447,337 @@ class ScoreCenterManager {
   }
 
   /**
-   * Check if score center is running
+   * Leagues and games this guild is currently mirroring
+   */
+  getStatus() {
+    const leagues = [];
+    for (const sportInfo of leagueRegistry.getLeagues()) {
+      const games = [...this.activeGames.entries()]
+        .filter(([, gameInfo]) => gameInfo.sport === sportInfo.sport && gameInfo.league === sportInfo.league)
+        .map(([gameId, gameInfo]) => ({ id: gameId, ...gameInfo }));
+      if (games.length > 0) {
+        leagues.push({ name: sportInfo.name, emoji: sportInfo.emoji, games });
+      }
+    }
+    return leagues;
+  }
+}
+
+/**
+ * Score Center Manager
+ * Creates and manages live score channels organized by sport categories.
+ * Each guild gets its own channels; all guilds share one ESPN polling loop.
+ */
+class ScoreCenterManager {
+  constructor() {
+    this.guilds = new Map(); // guildId -> GuildScoreCenter
+    this.starting = new Set(); // guildIds doing their first scan
+    this.updateInterval = null;
+    this.scanning = false;
+    this.client = null;
+    this.subscribers = new Map(); // name -> { getLeagues, onScoreboards }
+
+    jobScheduler.register('deleteScoreChannel', job => this.deleteFinishedGame(job.data));
+  }
+
+  /**
+   * Initialize the score center
+   */
+  async initialize(client) {
+    this.client = client;
+  }
+
+  /**
+   * Resume every guild's score center after a restart
+   * Drops channels that were deleted while the bot was offline and restarts polling
+   */
+  async restore(client) {
+    this.client = client;
+
+    const saved = stateStore.get('scoreCenter');
+    let guilds = saved.guilds || {};
+
+    // State saved before multi-guild support held a single guild
+    if (saved.running && saved.guildId) {
+      guilds = { [saved.guildId]: { categories: saved.categories, games: saved.games } };
+    }
+
+    for (const [guildId, guildState] of Object.entries(guilds)) {
+      const guild = client.guilds.cache.get(guildId);
+      if (!guild) {
+        console.log(`Score center guild ${guildId} is no longer available, not resuming`);
+        continue;
+      }
+
+      const scoreCenter = new GuildScoreCenter(guildId, guildState);
+      scoreCenter.reconcile(guild);
+      this.guilds.set(guildId, scoreCenter);
+      console.log(`Resuming score center in ${guild.name} (${scoreCenter.activeGames.size} games)`);
+    }
+
+    this.saveState();
+    if (this.guilds.size > 0) {
+      await this.scanAndUpdateGames();
+      this.startPolling();
+    }
+  }
+
+  /**
+   * Persist every guild's tracked games and categories
+   */
+  saveState() {
+    const guilds = {};
+    for (const [guildId, scoreCenter] of this.guilds.entries()) {
+      guilds[guildId] = scoreCenter.toJSON();
+    }
+    stateStore.set('scoreCenter', { guilds });
+  }
+
+  /**
+   * Get a guild's score center config, falling back to defaults
+   */
+  getConfig(guildId) {
+    const configs = stateStore.get('scoreCenterConfig');
+    return { ...DEFAULT_CONFIG, ...configs[guildId] };
+  }
+
+  /**
+   * Update a guild's score center config
+   * Changes apply on the next polling tick
+   * @param {string} guildId - Guild ID
+   * @param {object} changes - Config fields to change
+   */
+  updateConfig(guildId, changes) {
+    if (changes.leagues) {
+      const unknown = changes.leagues.filter(key => !leagueRegistry.getLeague(key)?.capabilities.includes('scores'));
+      if (unknown.length > 0) {
+        return {
+          success: false,
+          message: `Unknown league(s): ${unknown.join(', ')}. Choose from: ${leagueRegistry.describe('scores')}`
+        };
+      }
+      if (changes.leagues.length === 0) {
+        return { success: false, message: 'Pick at least one league.' };
+      }
+    }
+
+    const invalid = Object.entries(CONFIG_RULES)
+      .find(([key, [isValid]]) => changes[key] !== undefined && !isValid(changes[key]));
+    if (invalid) {
+      return { success: false, message: invalid[1][1] };
+    }
+
+    if (changes.teams) {
+      changes.teams = changes.teams.map(team => team.toLowerCase());
+    }
+
+    stateStore.update('scoreCenterConfig', configs => {
+      configs[guildId] = { ...configs[guildId], ...changes };
+    });
+
+    return { success: true, message: 'Score center settings updated.', config: this.getConfig(guildId) };
+  }
+
+  /**
+   * Feed another feature from the shared scoreboard polling loop
+   * Only registers the subscriber; it calls startPolling once it has leagues to watch
+   * @param {string} name - Subscriber name, for logs
+   * @param {object} subscriber - { getLeagues: () => leagueKeys, onScoreboards: async scoreboards => {} }
+   */
+  subscribe(name, subscriber) {
+    this.subscribers.set(name, subscriber);
+  }
+
+  unsubscribe(name) {
+    this.subscribers.delete(name);
+  }
+
+  /**
+   * Leagues the next tick needs: every guild's mirrored leagues plus every subscriber's
+   */
+  getPolledLeagues() {
+    const leagueKeys = new Set();
+    for (const guildId of this.guilds.keys()) {
+      this.getConfig(guildId).leagues.forEach(key => leagueKeys.add(key));
+    }
+    for (const subscriber of this.subscribers.values()) {
+      subscriber.getLeagues().forEach(key => leagueKeys.add(key));
+    }
+    return leagueKeys;
+  }
+
+  /**
+   * Start the shared polling loop if it isn't running
+   */
+  startPolling() {
+    if (this.updateInterval) return;
+
+    // Update every 30 seconds
+    this.updateInterval = setInterval(async () => {
+      await this.scanAndUpdateGames();
+    }, 30000);
+  }
+
+  /**
+   * Stop the shared polling loop
+   */
+  stopPolling() {
+    clearInterval(this.updateInterval);
+    this.updateInterval = null;
+  }
+
+  /**
+   * Start the score center in a guild
+   */
+  async startScoreCenter(guild) {
+    if (this.guilds.has(guild.id) || this.starting.has(guild.id)) {
+      return { success: false, message: 'Score center is already running!' };
+    }
+
+    this.starting.add(guild.id);
+    try {
+      this.client = guild.client;
+      const scoreCenter = new GuildScoreCenter(guild.id);
+
+      // Initial setup for this guild only, then it joins the shared polling loop
+      const config = this.getConfig(guild.id);
+      await scoreCenter.update(guild, await this.fetchScoreboards(config.leagues), config);
+      this.guilds.set(guild.id, scoreCenter);
+      this.saveState();
+      this.startPolling();
+
+      return { success: true, message: 'Score center started! Categories and channels will be created for active games.' };
+    } catch (error) {
+      console.error('Error starting score center:', error);
+      return { success: false, message: 'Failed to start score center.' };
+    } finally {
+      this.starting.delete(guild.id);
+    }
+  }
+
+  /**
+   * Stop the score center in a guild
+   */
+  async stopScoreCenter(guild) {
+    const scoreCenter = this.guilds.get(guild.id);
+    if (!scoreCenter) {
+      return { success: false, message: 'Score center is not running.' };
+    }
+
+    this.guilds.delete(guild.id);
+    if (this.getPolledLeagues().size === 0) {
+      this.stopPolling();
+    }
+
+    // Clean up channels and categories
+    await scoreCenter.cleanup(guild);
+    this.saveState();
+
+    return { success: true, message: 'Score center stopped and cleaned up.' };
+  }
+
+  /**
+   * Fetch the scoreboard for each league once per tick
+   * @param {Array<string>} leagueKeys - Leagues to fetch
+   * @returns {Array} [{ sportInfo, events }], events being null for leagues that failed to load
+   */
+  async fetchScoreboards(leagueKeys) {
+    const scoreboards = [];
+
+    for (const sportInfo of leagueRegistry.getLeagues().filter(l => leagueKeys.includes(l.key))) {
+      try {
+        const scoreboardData = await espnAPI.getScoreboard(sportInfo.sport, sportInfo.league);
+        scoreboards.push({ sportInfo, events: scoreboardData.events || [] });
+      } catch (error) {
+        console.error(`Error processing ${sportInfo.name}:`, error);
+        scoreboards.push({ sportInfo, events: null });
+      }
+    }
+
+    return scoreboards;
+  }
+
+  /**
+   * Scan for active games across all sports and update every guild's channels
+   */
+  async scanAndUpdateGames() {
+    // Skip this tick if the previous one is still working through Discord's rate limits
+    if (this.scanning) return;
+    this.scanning = true;
+
+    try {
+      // Only poll leagues at least one guild or subscriber needs
+      const scoreboards = await this.fetchScoreboards([...this.getPolledLeagues()]);
+
+      for (const [guildId, scoreCenter] of this.guilds.entries()) {
+        const guild = this.client?.guilds.cache.get(guildId);
+        if (!guild) {
+          console.log(`Score center guild ${guildId} is no longer available, stopping`);
+          this.guilds.delete(guildId);
+          continue;
+        }
+
+        try {
+          await scoreCenter.update(guild, scoreboards, this.getConfig(guildId));
+        } catch (error) {
+          console.error(`Error updating score center for guild ${guildId}:`, error);
+        }
+      }
+
+      for (const [name, subscriber] of this.subscribers.entries()) {
+        try {
+          await subscriber.onScoreboards(scoreboards);
+        } catch (error) {
+          console.error(`Error updating ${name} from scoreboards:`, error);
+        }
+      }
+
+      if (this.getPolledLeagues().size === 0) {
+        this.stopPolling();
+      }
+      this.saveState();
+    } catch (error) {
+      console.error('Error scanning games:', error);
+    } finally {
+      this.scanning = false;
+    }
+  }
+
+  /**
+   * Delete a finished game's channel (scheduled job)
+   */
+  async deleteFinishedGame({ guildId, gameId, channelId }) {
+    const guild = this.client?.guilds.cache.get(guildId);
+    const scoreCenter = this.guilds.get(guildId);
+
+    if (scoreCenter) {
+      await scoreCenter.deleteFinishedGame(guild, gameId, channelId);
+      this.saveState();
+    } else {
+      // Score center was stopped; just make sure the channel is gone
+      try {
+        const channel = guild?.channels.cache.get(channelId);
+        if (channel) await channel.delete();
+      } catch (error) {
+        console.error('Error deleting finished game channel:', error);
+      }
+    }
+  }
+
+  /**
+   * Leagues and games a guild is currently mirroring
+   * @returns {Array|null} [{ name, emoji, games }] or null if not running in the guild
+   */
+  getStatus(guildId) {
+    const scoreCenter = this.guilds.get(guildId);
+    return scoreCenter ? scoreCenter.getStatus() : null;
+  }
+
+  /**
+   * Check if score center is running, in a guild or anywhere
    */
-  isRunning() {
-    return this.updateInterval !== null;
+  isRunning(guildId = null) {
+    return guildId ? this.guilds.has(guildId) : this.guilds.size > 0;
   }
 }
 
@@ -2,7 +2,14 @@ import express from 'express';
 import http from 'http';
 import { Server as IOServer } from 'socket.io';
 import cors from 'cors';
+import { ChannelType, PermissionFlagsBits } from 'discord.js';
 import { startBot, client } from './bot.js';
+import espnAPI from './espnAPI.js';
+import leagueRegistry from './leagues.js';
+import liveScoreboard from './liveScoreboard.js';
+import scoreCenterManager from './scoreCenterManager.js';
+import liveGameManager from './liveGameManager.js';
+import { NotFoundError } from './errors.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -32,6 +39,144 @@ app.get('/api/status', checkAuth, (req, res) => {
   res.json({ ready, user: client?.user?.tag ?? null });
 });
 
+app.get('/api/leagues', checkAuth, (req, res) => {
+  res.json(leagueRegistry.getLeagues('scores').map(({ key, name, emoji, sport, league }) => ({ key, name, emoji, sport, league })));
+});
+
+app.get('/api/games/:league/:eventId', checkAuth, async (req, res) => {
+  if (!leagueRegistry.getLeague(req.params.league)?.capabilities.includes('scores')) {
+    return res.status(404).json({ error: 'Unknown league' });
+  }
+  try {
+    res.json(await liveScoreboard.getBoxScore(req.params.league, req.params.eventId));
+  } catch (err) {
+    console.error('Error fetching box score:', err.message);
+    res.status(err instanceof NotFoundError ? 404 : 502).json({ error: err.message });
+  }
+});
+
+/**
+ * Guild from the :guildId param, or a 404 response when the bot isn't in it
+ */
+function getGuild(req, res) {
+  const guild = client.guilds.cache.get(req.params.guildId);
+  if (!guild) res.status(404).json({ error: 'Guild not found' });
+  return guild;
+}
+
+/**
+ * Reply with a manager's { success, message } result
+ */
+function sendResult(res, result, extra = {}) {
+  if (!result.success) return res.status(400).json({ error: result.message });
+  res.json({ success: true, message: result.message, ...extra });
+}
+
+app.get('/api/games/:league', checkAuth, async (req, res) => {
+  const leagueInfo = leagueRegistry.getLeague(req.params.league);
+  if (!leagueInfo?.capabilities.includes('scores')) return res.status(404).json({ error: 'Unknown league' });
+  try {
+    const data = await espnAPI.getScoreboard(leagueInfo.sport, leagueInfo.league);
+    res.json((data.events || []).map(event => liveScoreboard.getCard(event)));
+  } catch (err) {
+    console.error('Error fetching scoreboard:', err.message);
+    res.status(502).json({ error: err.message });
+  }
+});
+
+app.get('/api/guilds', checkAuth, (req, res) => {
+  res.json(client.guilds.cache.map(guild => ({
+    id: guild.id,
+    name: guild.name,
+    icon: guild.iconURL(),
+    memberCount: guild.memberCount,
+    scoreCenter: scoreCenterManager.isRunning(guild.id)
+  })));
+});
+
+// Channels the bot can open live game threads in
+app.get('/api/guilds/:guildId/channels', checkAuth, (req, res) => {
+  const guild = getGuild(req, res);
+  if (!guild) return;
+  const needed = [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.CreatePublicThreads, PermissionFlagsBits.SendMessagesInThreads];
+  const channels = guild.channels.cache
+    .filter(channel => [ChannelType.GuildText, ChannelType.GuildAnnouncement].includes(channel.type))
+    .filter(channel => channel.permissionsFor(guild.members.me)?.has(needed))
+    .sort((a, b) => a.rawPosition - b.rawPosition);
+  res.json(channels.map(channel => ({ id: channel.id, name: channel.name, parent: channel.parent?.name ?? null })));
+});
+
+app.get('/api/guilds/:guildId/scorecenter', checkAuth, (req, res) => {
+  const guild = getGuild(req, res);
+  if (!guild) return;
+  res.json({
+    running: scoreCenterManager.isRunning(guild.id),
+    config: scoreCenterManager.getConfig(guild.id),
+    leagues: scoreCenterManager.getStatus(guild.id) || []
+  });
+});
+
+app.post('/api/guilds/:guildId/scorecenter/start', checkAuth, async (req, res) => {
+  const guild = getGuild(req, res);
+  if (!guild) return;
+  sendResult(res, await scoreCenterManager.startScoreCenter(guild));
+});
+
+app.post('/api/guilds/:guildId/scorecenter/stop', checkAuth, async (req, res) => {
+  const guild = getGuild(req, res);
+  if (!guild) return;
+  sendResult(res, await scoreCenterManager.stopScoreCenter(guild));
+});
+
+// Same fields as /scorecenter config; leagues may be keys or names
+app.patch('/api/guilds/:guildId/scorecenter/config', checkAuth, (req, res) => {
+  const guild = getGuild(req, res);
+  if (!guild) return;
+
+  const fields = Object.keys(scoreCenterManager.getConfig(guild.id));
+  const changes = Object.fromEntries(Object.entries(req.body || {}).filter(([key]) => fields.includes(key)));
+  if (changes.leagues !== undefined) {
+    if (!Array.isArray(changes.leagues)) return res.status(400).json({ error: 'leagues must be a list' });
+    changes.leagues = changes.leagues.map(name => leagueRegistry.getLeague(String(name))?.key || String(name));
+  }
+  if (Object.keys(changes).length === 0) return res.status(400).json({ error: `Nothing to change. Fields: ${fields.join(', ')}` });
+
+  const result = scoreCenterManager.updateConfig(guild.id, changes);
+  sendResult(res, result, result.success ? { config: result.config } : {});
+});
+
+app.get('/api/livegames', checkAuth, (req, res) => {
+  res.json(liveGameManager.getTrackedGames());
+});
+
+app.post('/api/livegames', checkAuth, async (req, res) => {
+  const { channelId, league, gameId } = req.body;
+  if (!channelId || !league || !gameId) return res.status(400).json({ error: 'channelId, league and gameId required' });
+
+  const leagueInfo = leagueRegistry.getLeague(league);
+  if (!leagueInfo?.capabilities.includes('scores')) return res.status(404).json({ error: 'Unknown league' });
+
+  try {
+    const channel = await client.channels.fetch(channelId);
+    if (!channel?.threads) return res.status(404).json({ error: 'Channel not found or cannot have threads' });
+    const result = await liveGameManager.startThread(channel, String(gameId), leagueInfo);
+    sendResult(res, result, result.success ? { threadId: result.thread.id, threadUrl: result.thread.url } : {});
+  } catch (err) {
+    console.error('Error starting live game thread:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/livegames/:gameId', checkAuth, (req, res) => {
+  if (!liveGameManager.getActiveGames().includes(req.params.gameId)) return res.status(404).json({ error: 'Game is not being tracked' });
+  liveGameManager.stopTracking(req.params.gameId);
+  res.json({ success: true });
+});
+
+app.get('/api/cache', checkAuth, (req, res) => {
+  res.json(espnAPI.getCacheStats());
+});
+
 app.post('/api/message', checkAuth, async (req, res) => {
   const { channelId, message } = req.body;
   if (!channelId || !message) return res.status(400).json({ error: 'channelId and message required' });
@@ -46,10 +191,21 @@ app.post('/api/message', checkAuth, async (req, res) => {
   }
 });
 
+// Sockets need the same token as the API when one is set
+io.use((socket, next) => {
+  const token = process.env.DASHBOARD_TOKEN;
+  if (!token) return next();
+  const provided = socket.handshake.auth?.token || socket.handshake.query.token;
+  if (provided === token) return next();
+  return next(new Error('Unauthorized'));
+});
+
 io.on('connection', socket => {
   socket.emit('status', { ready: client?.user ? true : false, user: client?.user?.tag ?? null });
 });
 
+liveScoreboard.attach(io);
+
 async function start() {
   await startBot();
   server.listen(PORT, () => console.log(`Dashboard listening on http://localhost:${PORT}`));
@@ -0,0 +1,120 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * State Store
+ * Small JSON file store for state that has to survive restarts
+ * (tracked games, score center channels, pending cleanup jobs)
+ */
+class StateStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.state = {};
+    this.loaded = false;
+    this.saveTimeout = null;
+    this.savePromise = Promise.resolve();
+  }
+
+  /**
+   * Load state from disk (a missing file starts empty)
+   */
+  async load() {
+    if (this.loaded) return;
+
+    try {
+      this.state = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      console.log(`Loaded state from ${this.filePath}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error reading state file ${this.filePath}:`, error);
+      }
+      this.state = {};
+    }
+
+    this.loaded = true;
+  }
+
+  /**
+   * Get a section of state, creating it from a default if missing
+   * @param {string} section - Section name, e.g. 'scoreCenter'
+   * @param {*} defaultValue - Value to use when the section doesn't exist
+   */
+  get(section, defaultValue = {}) {
+    if (!(section in this.state)) {
+      this.state[section] = defaultValue;
+    }
+    return this.state[section];
+  }
+
+  /**
+   * Refuse writes until load() has run
+   * Anything written earlier would be saved over the file on disk, so the caller fails instead
+   */
+  assertLoaded(action) {
+    if (!this.loaded) {
+      throw new Error(`State ${action} before ${this.filePath} was loaded`);
+    }
+  }
+
+  /**
+   * Replace a section of state and schedule a save
+   */
+  set(section, value) {
+    this.assertLoaded(`set of ${section}`);
+    this.state[section] = value;
+    this.scheduleSave();
+  }
+
+  /**
+   * Apply a change to a section of state and schedule a save
+   * @param {string} section - Section name
+   * @param {Function} updater - Receives the section, may mutate it or return a replacement
+   */
+  update(section, updater, defaultValue = {}) {
+    this.assertLoaded(`update of ${section}`);
+    const current = this.get(section, defaultValue);
+    const result = updater(current);
+    this.state[section] = result === undefined ? current : result;
+    this.scheduleSave();
+  }
+
+  /**
+   * Batch writes that happen close together into one save
+   */
+  scheduleSave() {
+    if (this.saveTimeout) return;
+
+    this.saveTimeout = setTimeout(() => {
+      this.saveTimeout = null;
+      this.save();
+    }, 1000);
+  }
+
+  /**
+   * Write state to disk now, via a temp file so a crash never leaves it half written
+   */
+  async save() {
+    // Nothing can have changed yet, and an empty save would wipe the file
+    if (!this.loaded) return;
+    if (this.saveTimeout) {
+      clearTimeout(this.saveTimeout);
+      this.saveTimeout = null;
+    }
+
+    const contents = JSON.stringify(this.state, null, 2);
+    this.savePromise = this.savePromise.then(async () => {
+      try {
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.writeFile(tempPath, contents);
+        await fs.rename(tempPath, this.filePath);
+      } catch (error) {
+        console.error(`Error saving state file ${this.filePath}:`, error);
+      }
+    });
+
+    return await this.savePromise;
+  }
+}
+
+export default new StateStore(path.resolve(process.env.DATA_DIR || 'data', 'state.json'));
@@ -0,0 +1,298 @@
+import { EmbedBuilder } from 'discord.js';
+import leagueRegistry from './leagues.js';
+import stateStore from './stateStore.js';
+import scoreCenterManager from './scoreCenterManager.js';
+
+// Most teams a single channel can follow
+const MAX_FOLLOWS_PER_CHANNEL = 25;
+
+// ESPN status names for breaks between periods
+const BREAK_STATUSES = ['STATUS_HALFTIME', 'STATUS_END_PERIOD'];
+
+/**
+ * Team Feed Manager
+ * Channels follow teams; while a followed team plays, the channel gets posts
+ * when the game starts, on every score (calling out lead changes), at
+ * halftime/end of each period, and a final result embed. Scoreboards come
+ * from the score center's shared polling loop.
+ *
+ * State ('teamFeeds'):
+ * - follows: { channelId: { guildId, teams: [{ league, teamId, name, abbreviation }] } }
+ * - games: { eventId: { state, period, awayScore, homeScore, leader, breakKey } }
+ */
+class TeamFeedManager {
+  constructor() {
+    this.client = null;
+  }
+
+  /**
+   * Start watching after a restart
+   */
+  async restore(client) {
+    this.client = client;
+    scoreCenterManager.subscribe('team feeds', {
+      getLeagues: () => this.getLeagues(),
+      onScoreboards: scoreboards => this.update(scoreboards)
+    });
+    if (this.getLeagues().length > 0) {
+      scoreCenterManager.startPolling();
+    }
+  }
+
+  getState() {
+    return stateStore.get('teamFeeds', { follows: {}, games: {} });
+  }
+
+  /**
+   * Teams a channel follows
+   */
+  getFollows(channelId) {
+    return this.getState().follows[channelId]?.teams || [];
+  }
+
+  /**
+   * League keys with at least one followed team
+   */
+  getLeagues() {
+    const leagueKeys = new Set();
+    for (const follow of Object.values(this.getState().follows)) {
+      follow.teams.forEach(team => leagueKeys.add(team.league));
+    }
+    return [...leagueKeys];
+  }
+
+  /**
+   * Follow a team in a channel
+   * @param {object} channel - Discord channel
+   * @param {string} leagueKey - League key, e.g. 'nfl'
+   * @param {object} team - { id, displayName, abbreviation }
+   */
+  follow(channel, leagueKey, team) {
+    const follows = this.getFollows(channel.id);
+    const leagueInfo = leagueRegistry.getLeague(leagueKey);
+
+    if (follows.some(f => f.league === leagueKey && f.teamId === team.id)) {
+      return { success: false, message: `This channel already follows the ${team.displayName}.` };
+    }
+    if (follows.length >= MAX_FOLLOWS_PER_CHANNEL) {
+      return { success: false, message: `A channel can follow at most ${MAX_FOLLOWS_PER_CHANNEL} teams.` };
+    }
+
+    stateStore.update('teamFeeds', state => {
+      state.follows[channel.id] = {
+        guildId: channel.guildId,
+        teams: [...follows, { league: leagueKey, teamId: team.id, name: team.displayName, abbreviation: team.abbreviation }]
+      };
+    }, { follows: {}, games: {} });
+
+    // Polling stops when nothing needs it; make sure it's running again
+    scoreCenterManager.startPolling();
+
+    return {
+      success: true,
+      message: `${leagueInfo.emoji} This channel now follows the **${team.displayName}**. Game starts, scores, breaks and finals will be posted here.`
+    };
+  }
+
+  /**
+   * Stop following one team, or every team when teamKey is omitted
+   * @param {string} channelId - Channel ID
+   * @param {string|null} teamKey - '<league>:<teamId>'
+   */
+  unfollow(channelId, teamKey = null) {
+    const follows = this.getFollows(channelId);
+    if (follows.length === 0) {
+      return { success: false, message: "This channel doesn't follow any teams." };
+    }
+
+    const removed = teamKey ? follows.filter(f => `${f.league}:${f.teamId}` === teamKey) : follows;
+    if (removed.length === 0) {
+      return { success: false, message: "This channel doesn't follow that team." };
+    }
+
+    stateStore.update('teamFeeds', state => {
+      const remaining = follows.filter(f => !removed.includes(f));
+      if (remaining.length > 0) {
+        state.follows[channelId].teams = remaining;
+      } else {
+        delete state.follows[channelId];
+      }
+    }, { follows: {}, games: {} });
+
+    return { success: true, message: `Stopped following ${removed.map(f => `**${f.name}**`).join(', ')}.` };
+  }
+
+  /**
+   * Autocomplete choices for a channel's followed teams
+   */
+  getFollowChoices(channelId, query = '') {
+    const search = query.toLowerCase();
+    return this.getFollows(channelId)
+      .filter(f => !search || f.name.toLowerCase().includes(search) || f.abbreviation.toLowerCase().includes(search))
+      .map(f => ({ name: `${f.name} (${leagueRegistry.getLeague(f.league)?.name || f.league})`, value: `${f.league}:${f.teamId}` }));
+  }
+
+  /**
+   * Channels following either team in a game
+   * @returns {Array<string>} Channel IDs
+   */
+  getFollowingChannels(leagueKey, competitors) {
+    const teamIds = competitors.map(c => c.team.id);
+    return Object.entries(this.getState().follows)
+      .filter(([, follow]) => follow.teams.some(f => f.league === leagueKey && teamIds.includes(f.teamId)))
+      .map(([channelId]) => channelId);
+  }
+
+  /**
+   * Compare each followed game with its last snapshot and post what changed
+   * @param {Array} scoreboards - [{ sportInfo, events }] from the score center poll
+   */
+  async update(scoreboards) {
+    const state = this.getState();
+    const seen = new Set();
+
+    for (const { sportInfo, events } of scoreboards) {
+      // Failed to load this tick; its games keep their last snapshot
+      if (events === null) continue;
+      for (const event of events) {
+        const competition = event.competitions[0];
+        const channelIds = this.getFollowingChannels(sportInfo.key, competition.competitors);
+        if (channelIds.length === 0) continue;
+
+        seen.add(event.id);
+        const previous = state.games[event.id];
+        const current = this.getSnapshot(event, previous);
+
+        // First sighting only sets the baseline, so restarts don't repost old news
+        if (previous) {
+          for (const post of this.getPosts(event, sportInfo, previous, current)) {
+            await this.send(channelIds, post);
+          }
+        }
+        state.games[event.id] = current;
+      }
+    }
+
+    // Forget games that dropped off the scoreboard, unless a league is missing this tick
+    if (scoreboards.every(({ events }) => events !== null)) {
+      for (const eventId of Object.keys(state.games)) {
+        if (!seen.has(eventId)) delete state.games[eventId];
+      }
+    }
+    stateStore.set('teamFeeds', state);
+  }
+
+  /**
+   * @param {object} previous - Last snapshot; ties keep its leader so retaking the lead isn't a lead change
+   */
+  getSnapshot(event, previous = null) {
+    const competition = event.competitions[0];
+    const status = competition.status || event.status;
+    const home = competition.competitors.find(t => t.homeAway === 'home');
+    const away = competition.competitors.find(t => t.homeAway === 'away');
+    const isBreak = BREAK_STATUSES.includes(status.type.name);
+    const awayScore = Number(away.score || 0);
+    const homeScore = Number(home.score || 0);
+    const leader = awayScore > homeScore ? 'away' : homeScore > awayScore ? 'home' : previous?.leader || null;
+
+    return {
+      state: status.type.state,
+      period: status.period || 0,
+      awayScore,
+      homeScore,
+      leader,
+      breakKey: isBreak ? `${status.type.name}-${status.period}` : null
+    };
+  }
+
+  /**
+   * Messages to post for the change between two snapshots
+   */
+  getPosts(event, sportInfo, previous, current) {
+    const competition = event.competitions[0];
+    const status = competition.status || event.status;
+    const home = competition.competitors.find(t => t.homeAway === 'home');
+    const away = competition.competitors.find(t => t.homeAway === 'away');
+    const scoreLine = `${away.team.abbreviation} **${current.awayScore}** - ${home.team.abbreviation} **${current.homeScore}**`;
+    const posts = [];
+
+    if (previous.state === 'pre' && current.state !== 'pre') {
+      const broadcast = competition.broadcasts?.flatMap(b => b.names || []).join(', ');
+      posts.push(`${sportInfo.emoji} **${event.name}** is underway!${broadcast ? ` 📺 ${broadcast}` : ''}`);
+    }
+
+    if (current.awayScore !== previous.awayScore || current.homeScore !== previous.homeScore) {
+      const tied = current.awayScore === current.homeScore;
+      const leadChange = !tied && previous.leader && current.leader !== previous.leader;
+      const lastPlay = competition.situation?.lastPlay?.text;
+      const prefix = tied ? '🟰 **Tied!** ' : leadChange ? '🔀 **Lead change!** ' : '🚨 ';
+      posts.push([
+        `${prefix}${scoreLine} • ${status.type.shortDetail || status.type.detail}`,
+        lastPlay && `> ${lastPlay}`
+      ].filter(Boolean).join('\n'));
+    }
+
+    if (current.breakKey && current.breakKey !== previous.breakKey && current.state === 'in') {
+      posts.push(`⏸️ ${status.type.detail}: ${scoreLine}`);
+    }
+
+    if (current.state === 'post' && previous.state !== 'post') {
+      posts.push({ embeds: [this.buildFinalEmbed(event, sportInfo)] });
+    }
+
+    return posts;
+  }
+
+  /**
+   * Final result embed
+   */
+  buildFinalEmbed(event, sportInfo) {
+    const competition = event.competitions[0];
+    const home = competition.competitors.find(t => t.homeAway === 'home');
+    const away = competition.competitors.find(t => t.homeAway === 'away');
+    const winner = [home, away].find(t => t.winner);
+    const [high, low] = [Number(away.score), Number(home.score)].sort((a, b) => b - a);
+
+    const embed = new EmbedBuilder()
+      .setColor(winner?.team.color ? `#${winner.team.color}` : '#808080')
+      .setTitle(`${sportInfo.emoji} Final: ${away.team.displayName} ${away.score} @ ${home.team.displayName} ${home.score}`)
+      .setDescription(winner ? `**${winner.team.displayName}** win ${high}-${low}` : 'Game ended in a tie')
+      .setTimestamp()
+      .setFooter({ text: `${sportInfo.name} • ESPN` });
+
+    const logo = winner?.team.logo;
+    if (logo) embed.setThumbnail(logo);
+
+    for (const team of [away, home]) {
+      const record = team.records?.[0]?.summary;
+      const leaders = (team.leaders || [])
+        .map(category => category.leaders?.[0] && `${category.shortDisplayName || category.displayName}: ${category.leaders[0].athlete?.shortName || category.leaders[0].athlete?.displayName} (${category.leaders[0].displayValue})`)
+        .filter(Boolean)
+        .slice(0, 3);
+      embed.addFields({
+        name: `${team.team.displayName}${record ? ` (${record})` : ''}`,
+        value: leaders.join('\n') || '\u200b',
+        inline: true
+      });
+    }
+
+    return embed;
+  }
+
+  async send(channelIds, post) {
+    for (const channelId of channelIds) {
+      try {
+        const channel = await this.client.channels.fetch(channelId);
+        await channel.send(post);
+      } catch (error) {
+        console.error(`Error posting team feed update to channel ${channelId}:`, error.message);
+        // Channel was deleted or the bot lost access; stop following there
+        if (error.code === 10003 || error.code === 50001) {
+          this.unfollow(channelId);
+        }
+      }
+    }
+  }
+}
+
+export default new TeamFeedManager();
@@ -0,0 +1,155 @@
+import espnAPI from './espnAPI.js';
+import leagueRegistry from './leagues.js';
+
+// Rebuild a league's index at most this often (the teams endpoint is cached for a day anyway)
+const INDEX_TTL = 6 * 60 * 60 * 1000;
+
+/**
+ * Nicknames fans actually type, keyed by league then ESPN abbreviation
+ */
+const ALIASES = {
+  nfl: {
+    SF: ['niners'], GB: ['pack'], NE: ['pats'], TB: ['bucs'], JAX: ['jags'], LAC: ['bolts'],
+    PHI: ['birds'], DAL: ['boys'], NYG: ['big blue', 'g-men'], NYJ: ['gang green']
+  },
+  nba: {
+    PHI: ['sixers'], GS: ['dubs'], MIN: ['wolves', 'twolves'], CLE: ['cavs'], DAL: ['mavs'],
+    POR: ['blazers'], NO: ['pels'], LAC: ['clips'], NY: ['knickerbockers']
+  },
+  mlb: {
+    NYY: ['yanks', 'bronx bombers'], BOS: ['sox'], CHW: ['chisox', 'sox'], CHC: ['cubbies'], LAA: ['halos'],
+    ATH: ['as'], OAK: ['as'], STL: ['cards', 'redbirds'], SD: ['pads', 'friars'], SEA: ['ms'],
+    TOR: ['jays'], ARI: ['dbacks', 'd-backs', 'snakes'], NYM: ['amazins'], WSH: ['nats'], PHI: ['phils']
+  },
+  nhl: {
+    MTL: ['habs'], TOR: ['leafs', 'buds'], VGK: ['knights'], CBJ: ['jackets'], CHI: ['hawks'],
+    CAR: ['canes'], PIT: ['pens'], DET: ['wings'], NYR: ['blueshirts'], TB: ['bolts'], FLA: ['cats'],
+    BOS: ['bs'], NSH: ['preds']
+  },
+  wnba: {
+    NY: ['lib'], CONN: ['sun']
+  },
+  mls: {
+    NYRB: ['rbny'], NYC: ['nycfc'], ATL: ['atlutd'], MIA: ['inter miami']
+  }
+};
+
+/**
+ * Lowercase and drop punctuation so "A's", "As" and "as" all match
+ */
+function normalize(text) {
+  return String(text).toLowerCase().replace(/['’.]/g, '').trim();
+}
+
+/**
+ * Team Index
+ * Searchable list of every team in a league, built from the cached teams
+ * endpoint. Backs team-name autocomplete and resolves typed team names to ESPN ids.
+ */
+class TeamIndex {
+  constructor() {
+    this.indexes = new Map(); // league value -> { builtAt, teams: [{ id, name, abbreviation, terms }] }
+    this.building = new Map(); // league value -> Promise
+  }
+
+  /**
+   * Get the index for a league, building it on first use
+   * @param {string} sportValue - League value, e.g. 'football/nfl'
+   */
+  async getIndex(sportValue) {
+    const cached = this.indexes.get(sportValue);
+    if (cached && Date.now() - cached.builtAt < INDEX_TTL) {
+      return cached.teams;
+    }
+
+    // Autocomplete fires on every keystroke; share one build per league
+    if (!this.building.has(sportValue)) {
+      this.building.set(sportValue, this.build(sportValue).finally(() => this.building.delete(sportValue)));
+    }
+
+    try {
+      return await this.building.get(sportValue);
+    } catch (error) {
+      // Fall back to a stale index rather than failing autocomplete
+      if (cached) return cached.teams;
+      throw error;
+    }
+  }
+
+  async build(sportValue) {
+    const [sport, league] = sportValue.split('/');
+    const data = await espnAPI.getTeams(sport, league);
+    const aliases = ALIASES[leagueRegistry.getLeague(sportValue)?.key] || {};
+
+    const teams = (data.sports?.[0]?.leagues?.[0]?.teams || []).map(({ team }) => {
+      const names = [team.displayName, team.shortDisplayName, team.name, team.nickname, team.location, team.abbreviation];
+      return {
+        id: team.id,
+        name: team.displayName,
+        abbreviation: team.abbreviation,
+        terms: [...new Set([...names, ...(aliases[team.abbreviation] || [])].filter(Boolean).map(normalize))]
+      };
+    });
+
+    this.indexes.set(sportValue, { builtAt: Date.now(), teams });
+    return teams;
+  }
+
+  /**
+   * How well a team matches a query: 0 is no match, higher is better
+   */
+  score(team, query) {
+    if (!query) return 1;
+
+    let best = 0;
+    for (const term of team.terms) {
+      if (term === query) best = Math.max(best, 4);
+      else if (term.startsWith(query)) best = Math.max(best, 3);
+      else if (term.split(/[\s-]+/).some(word => word.startsWith(query))) best = Math.max(best, 2);
+      else if (term.includes(query)) best = Math.max(best, 1);
+    }
+    return best;
+  }
+
+  /**
+   * Teams matching a query, best first
+   * @param {string} sportValue - League value
+   * @param {string} query - What the user has typed so far
+   * @param {number} limit - Discord shows at most 25 suggestions
+   */
+  async search(sportValue, query, limit = 25) {
+    const teams = await this.getIndex(sportValue);
+    const search = normalize(query);
+
+    return teams
+      .map(team => ({ team, score: this.score(team, search) }))
+      .filter(match => match.score > 0)
+      .sort((a, b) => b.score - a.score || a.team.name.localeCompare(b.team.name))
+      .slice(0, limit)
+      .map(match => match.team);
+  }
+
+  /**
+   * Autocomplete choices for a league
+   */
+  async getChoices(sportValue, query) {
+    const teams = await this.search(sportValue, query);
+    return teams.map(team => ({ name: `${team.name} (${team.abbreviation})`, value: team.id }));
+  }
+
+  /**
+   * Turn whatever was submitted (an id from autocomplete, or typed text) into an ESPN team id
+   * @returns {Promise<string|null>} Team id, or null when nothing matches
+   */
+  async resolve(sportValue, input) {
+    const text = String(input).trim();
+    const teams = await this.getIndex(sportValue);
+
+    if (teams.some(team => team.id === text)) return text;
+
+    const [best] = await this.search(sportValue, text, 1);
+    return best?.id || null;
+  }
+}
+
+export default new TeamIndex();
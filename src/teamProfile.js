@@ -0,0 +1,184 @@
+import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+
+// ESPN schedules are built around US Eastern dates
+const SCHEDULE_TIME_ZONE = 'America/New_York';
+
+/**
+ * Team Profile Formatter
+ * Builds /team embeds: a team card with upcoming games and recent results,
+ * and the full season schedule paged by month
+ */
+class TeamProfileFormatter {
+  /**
+   * Flatten a team schedule into games from the team's point of view
+   * @returns {Array} [{ id, date, opponent, homeAway, tv, state, detail, teamScore, opponentScore, result }]
+   */
+  parseSchedule(scheduleData, teamId) {
+    return (scheduleData.events || []).map(event => {
+      const competition = event.competitions?.[0] || {};
+      const us = competition.competitors?.find(c => c.id === teamId || c.team?.id === teamId);
+      const them = competition.competitors?.find(c => c !== us);
+      const status = competition.status?.type || event.status?.type || {};
+      const score = competitor => competitor?.score?.displayValue ?? competitor?.score;
+
+      let result = null;
+      if (status.completed && us) {
+        const teamScore = Number(score(us));
+        const opponentScore = Number(score(them));
+        result = us.winner ? 'W' : them?.winner ? 'L' : teamScore === opponentScore ? 'T' : teamScore > opponentScore ? 'W' : 'L';
+      }
+
+      return {
+        id: event.id,
+        date: new Date(event.date),
+        opponent: them?.team || { displayName: 'TBD', abbreviation: 'TBD' },
+        homeAway: us?.homeAway || 'home',
+        tv: competition.broadcasts?.map(b => b.media?.shortName).filter(Boolean).join(', ') || null,
+        state: status.state || 'pre',
+        detail: status.shortDetail || status.detail || '',
+        teamScore: score(us),
+        opponentScore: score(them),
+        result
+      };
+    }).sort((a, b) => a.date - b.date);
+  }
+
+  /**
+   * One schedule line, e.g. "W 27-20 vs CHI" or "<t:...> @ DET • FOX"
+   */
+  formatGame(game) {
+    const matchup = `${game.homeAway === 'home' ? 'vs' : '@'} ${game.opponent.abbreviation || game.opponent.displayName}`;
+
+    if (game.result) {
+      return `**${game.result}** ${game.teamScore}-${game.opponentScore} ${matchup} • <t:${Math.floor(game.date / 1000)}:d>`;
+    }
+    if (game.state === 'in') {
+      return `🔴 ${game.teamScore}-${game.opponentScore} ${matchup} • ${game.detail}`;
+    }
+    return `<t:${Math.floor(game.date / 1000)}:f> ${matchup}${game.tv ? ` • ${game.tv}` : ''}`;
+  }
+
+  /**
+   * Team card: profile, next five games and last five results
+   */
+  buildCard(teamData, scheduleData, leagueInfo) {
+    const team = teamData.team;
+    const games = this.parseSchedule(scheduleData, team.id);
+    const record = team.record?.items?.find(r => r.type === 'total')?.summary || team.record?.items?.[0]?.summary;
+    const venue = team.franchise?.venue;
+    const city = [venue?.address?.city, venue?.address?.state].filter(Boolean).join(', ');
+
+    const embed = new EmbedBuilder()
+      .setColor(team.color ? `#${team.color}` : '#0099ff')
+      .setTitle(`${leagueInfo.emoji} ${team.displayName}`)
+      .setDescription([record && `**${record}**`, team.standingSummary].filter(Boolean).join(' • ') || null)
+      .setTimestamp()
+      .setFooter({ text: `${leagueInfo.name} • ESPN` });
+
+    const logo = team.logos?.[0]?.href;
+    if (logo) embed.setThumbnail(logo);
+    if (team.links?.[0]?.href) embed.setURL(team.links[0].href);
+
+    if (venue?.fullName) {
+      embed.addFields({ name: 'Venue', value: city ? `${venue.fullName}\n${city}` : venue.fullName, inline: true });
+    }
+    if (team.color) {
+      const colors = [team.color, team.alternateColor].filter(Boolean).map(c => `\`#${c}\``).join(' ');
+      embed.addFields({ name: 'Colors', value: colors, inline: true });
+    }
+
+    const upcoming = games.filter(g => g.state !== 'post').slice(0, 5);
+    const recent = games.filter(g => g.result).slice(-5).reverse();
+
+    embed.addFields(
+      { name: 'Next Games', value: upcoming.map(g => this.formatGame(g)).join('\n') || 'No upcoming games scheduled', inline: false },
+      { name: 'Recent Results', value: recent.map(g => this.formatGame(g)).join('\n') || 'No games played yet', inline: false }
+    );
+
+    return embed;
+  }
+
+  /**
+   * Group a schedule by month, in season order
+   * @returns {Array} [{ label, games }]
+   */
+  getScheduleMonths(games) {
+    const months = [];
+    for (const game of games) {
+      const label = game.date.toLocaleString('en-US', { month: 'long', year: 'numeric', timeZone: SCHEDULE_TIME_ZONE });
+      if (months[months.length - 1]?.label !== label) {
+        months.push({ label, games: [] });
+      }
+      months[months.length - 1].games.push(game);
+    }
+    return months;
+  }
+
+  /**
+   * Month of the schedule to open on: the one with the team's next game
+   */
+  getCurrentMonthIndex(months) {
+    const index = months.findIndex(month => month.games.some(g => g.state !== 'post'));
+    return index === -1 ? Math.max(0, months.length - 1) : index;
+  }
+
+  /**
+   * One month of the season schedule
+   */
+  buildScheduleEmbed(teamData, scheduleData, leagueInfo, page) {
+    const team = teamData.team;
+    const months = this.getScheduleMonths(this.parseSchedule(scheduleData, team.id));
+    const month = months[page];
+
+    const embed = new EmbedBuilder()
+      .setColor(team.color ? `#${team.color}` : '#0099ff')
+      .setTitle(`${leagueInfo.emoji} ${team.displayName} Schedule`)
+      .setTimestamp()
+      .setFooter({ text: months.length ? `Page ${page + 1} of ${months.length} • ESPN` : 'ESPN' });
+
+    const logo = team.logos?.[0]?.href;
+    if (logo) embed.setThumbnail(logo);
+
+    if (!month) {
+      embed.setDescription('No games on the schedule.');
+      return embed;
+    }
+
+    // Daily sports fit ~30 games in a month, more than one field holds
+    let value = '';
+    for (const line of month.games.map(g => this.formatGame(g))) {
+      if (value.length + line.length + 1 > 1024) {
+        embed.addFields({ name: embed.data.fields?.length ? '\u200b' : month.label, value, inline: false });
+        value = '';
+      }
+      value += `${line}\n`;
+    }
+    embed.addFields({ name: embed.data.fields?.length ? '\u200b' : month.label, value, inline: false });
+    return embed;
+  }
+
+  /**
+   * Buttons for the card (open schedule) or a schedule page (prev/next/back)
+   * @param {number|null} page - Schedule page being shown, null for the card
+   */
+  buildButtons(sportValue, teamId, page = null, pageCount = 0) {
+    const id = action => `team_${action}_${sportValue}_${teamId}`;
+    const row = new ActionRowBuilder();
+
+    if (page === null) {
+      row.addComponents(
+        new ButtonBuilder().setCustomId(id('schedule')).setLabel('Full Schedule').setEmoji('📅').setStyle(ButtonStyle.Primary)
+      );
+      return [row];
+    }
+
+    row.addComponents(
+      new ButtonBuilder().setCustomId(id(`schedule-${page - 1}`)).setLabel('◀ Prev').setStyle(ButtonStyle.Secondary).setDisabled(page <= 0),
+      new ButtonBuilder().setCustomId(id(`schedule-${page + 1}`)).setLabel('Next ▶').setStyle(ButtonStyle.Secondary).setDisabled(page >= pageCount - 1),
+      new ButtonBuilder().setCustomId(id('card')).setLabel('Team Card').setStyle(ButtonStyle.Primary)
+    );
+    return [row];
+  }
+}
+
+export default new TeamProfileFormatter();
@@ -0,0 +1,97 @@
+import stateStore from './stateStore.js';
+
+/**
+ * Timezone Helpers
+ * Wall-clock conversions for IANA timezones (America/New_York, Europe/London, ...)
+ * using the built-in Intl API, and each guild's timezone setting
+ *
+ * State ('guildTimezones'): { guildId: timezone }
+ */
+
+// ESPN's scoreboard days follow US Eastern time
+export const DEFAULT_TIMEZONE = 'America/New_York';
+
+const formatters = new Map(); // timezone -> Intl.DateTimeFormat
+
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      hourCycle: 'h23'
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+/**
+ * Check a timezone name is one Intl knows
+ */
+export function isValidTimezone(timezone) {
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock date and time of a moment in a timezone
+ * @returns {object} { year, month (1-12), day, hour, minute, second }
+ */
+export function getZonedParts(time, timezone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timezone).formatToParts(new Date(time))) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+  return parts;
+}
+
+/**
+ * Milliseconds a timezone is ahead of UTC at a moment
+ */
+function getOffset(time, timezone) {
+  const p = getZonedParts(time, timezone);
+  const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUTC - Math.floor(new Date(time).getTime() / 1000) * 1000;
+}
+
+/**
+ * The moment a wall-clock time happens in a timezone
+ * @param {object} wallClock - { year, month (1-12), day, hour, minute }; day may overflow
+ * @returns {number} Epoch milliseconds
+ */
+export function zonedTimeToUTC({ year, month, day, hour = 0, minute = 0 }, timezone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  // Second pass picks up a DST change between the guess and the answer
+  const first = guess - getOffset(guess, timezone);
+  return guess - getOffset(first, timezone);
+}
+
+/**
+ * ESPN date key (YYYYMMDD) for a moment in a timezone, optionally shifted by whole days
+ */
+export function getDateKey(time, timezone, dayOffset = 0) {
+  const p = getZonedParts(time, timezone);
+  const shifted = new Date(Date.UTC(p.year, p.month - 1, p.day + dayOffset));
+  return shifted.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+/**
+ * Timezone a guild reads dates in
+ */
+export function getGuildTimezone(guildId) {
+  return (guildId && stateStore.get('guildTimezones')[guildId]) || DEFAULT_TIMEZONE;
+}
+
+export function setGuildTimezone(guildId, timezone) {
+  stateStore.update('guildTimezones', timezones => {
+    timezones[guildId] = timezone;
+  });
+}